@@ -0,0 +1,135 @@
+jest.mock('../utils/db', () => ({
+  withTransaction: (work) => work(null)
+}));
+
+const ADMIN_KEY = 'k'.repeat(32);
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+
+const express = require('express');
+const Player = require('../models/Player');
+const AuthService = require('../services/AuthService');
+const walletRouter = require('../routes/wallet');
+const { sessions } = require('../utils/auth');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AuthService.register', () => {
+  it('answers PLAYER_EXISTS when a parallel registration takes the id first', async () => {
+    const auth = new AuthService();
+    jest.spyOn(Player, 'exists').mockResolvedValue(null);
+    jest.spyOn(Player.prototype, 'save').mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key error collection: players index: playerId_1'), { code: 11000 })
+    );
+
+    await expect(auth.register('player1', 'Player1', 'a-good-password')).rejects.toMatchObject({
+      code: 'PLAYER_EXISTS'
+    });
+  });
+});
+
+describe('AuthService.checkPassword', () => {
+  function findPlayer(player) {
+    jest.spyOn(Player, 'findOne').mockReturnValue({ select: async () => player });
+  }
+
+  it.each([
+    ['an unknown player', null],
+    ['a player without a password', new Player({ playerId: 'player1', username: 'Player1' })]
+  ])('hashes the password for %s before refusing it', async (name, player) => {
+    const auth = new AuthService();
+    findPlayer(player);
+    const verify = jest.spyOn(Player.prototype, 'verifyPassword');
+
+    await expect(auth.checkPassword('player1', 'a-good-password')).rejects.toMatchObject({
+      code: 'INVALID_CREDENTIALS'
+    });
+    expect(verify).toHaveBeenCalledWith('a-good-password');
+    await expect(verify.mock.results[0].value).resolves.toBe(false);
+  });
+});
+
+describe('PUT /api/wallet/players/:playerId/password', () => {
+  let server;
+  let baseUrl;
+  let legacyPlayer;
+  let savedHash;
+
+  beforeEach((done) => {
+    // Created before passwords existed
+    legacyPlayer = Player.hydrate({
+      _id: '64b000000000000000000001',
+      playerId: 'legacy1',
+      username: 'Legacy1',
+      passwordHash: null,
+      failedLogins: 3
+    });
+    savedHash = null;
+
+    jest.spyOn(Player, 'findOne').mockImplementation(async (filter) =>
+      filter.playerId === legacyPlayer.playerId ? legacyPlayer : null
+    );
+    jest.spyOn(Player, 'updateOne').mockImplementation(async (filter, update) => {
+      savedHash = update.$set.passwordHash;
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(sessions, 'revokePlayerSessions').mockResolvedValue(0);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/wallet', walletRouter);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/wallet`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    server.close(done);
+  });
+
+  function setPassword(playerId, body, adminKey = ADMIN_KEY) {
+    return fetch(`${baseUrl}/players/${playerId}/password`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'X-Admin-Key': adminKey },
+      body: JSON.stringify(body)
+    });
+  }
+
+  it('sets a password a legacy player can then sign in with', async () => {
+    const response = await setPassword('legacy1', { password: 'a-good-password' });
+
+    expect(response.status).toBe(200);
+    expect(Player.updateOne).toHaveBeenCalledWith(
+      { _id: legacyPlayer._id },
+      { $set: expect.objectContaining({ failedLogins: 0, lockedUntil: null }) }
+    );
+    expect(sessions.revokePlayerSessions).toHaveBeenCalledWith('legacy1');
+
+    const stored = Player.hydrate({ ...legacyPlayer.toObject(), passwordHash: savedHash });
+    await expect(stored.verifyPassword('a-good-password')).resolves.toBe(true);
+    await expect(stored.verifyPassword('another-password')).resolves.toBe(false);
+  });
+
+  it('requires the admin key', async () => {
+    const response = await setPassword('legacy1', { password: 'a-good-password' }, 'not-the-key');
+
+    expect(response.status).toBe(403);
+    expect(Player.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('answers PLAYER_NOT_FOUND for an unknown player', async () => {
+    const response = await setPassword('nobody', { password: 'a-good-password' });
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).code).toBe('PLAYER_NOT_FOUND');
+  });
+
+  it('refuses a short password', async () => {
+    const response = await setPassword('legacy1', { password: 'short' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).code).toBe('VALIDATION_ERROR');
+  });
+});
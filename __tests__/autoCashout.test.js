@@ -0,0 +1,72 @@
+const GameRound = require('../models/GameRound');
+const GameService = require('../services/GameService');
+
+const CRASH_POINT = 8.4357;
+
+function buildActiveRound(bets) {
+  return new GameRound({
+    roundId: 'round-1',
+    status: 'active',
+    startTime: new Date(),
+    crashPoint: CRASH_POINT,
+    seed: 'a'.repeat(64),
+    hash: 'b'.repeat(64),
+    salt: 'salt',
+    bets: bets.map((bet, index) => ({
+      betId: `bet-${index}`,
+      playerId: `player${index}`,
+      username: `Player${index}`,
+      usdAmount: 10,
+      cryptoAmount: 0.0002,
+      currency: 'btc',
+      priceAtTime: 50000,
+      ...bet
+    }))
+  });
+}
+
+describe('auto-cashouts at the crash', () => {
+  let gameService;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    gameService = new GameService();
+    jest.spyOn(gameService, 'settleCashout').mockResolvedValue();
+    jest.spyOn(gameService, 'crashRound').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('settles targets between the last tick and the crash before crashing', () => {
+    gameService.currentRound = buildActiveRound([
+      { autoCashoutAt: 8.4317 },
+      { autoCashoutAt: CRASH_POINT },
+      { autoCashoutAt: null }
+    ]);
+    gameService.roundClock.start();
+
+    gameService.scheduleCrash();
+    jest.advanceTimersByTime(gameService.roundClock.getTimeUntil(CRASH_POINT));
+
+    const [dueBet] = gameService.currentRound.bets;
+    expect(gameService.settleCashout).toHaveBeenCalledTimes(1);
+    expect(gameService.settleCashout).toHaveBeenCalledWith(dueBet, 8.4317, { auto: true });
+    expect(gameService.crashRound).toHaveBeenCalledWith(CRASH_POINT);
+    expect(gameService.settleCashout.mock.invocationCallOrder[0])
+      .toBeLessThan(gameService.crashRound.mock.invocationCallOrder[0]);
+  });
+
+  it('does not crash or settle before the clock reaches the crash point', () => {
+    gameService.currentRound = buildActiveRound([{ autoCashoutAt: 8.4317 }]);
+    gameService.roundClock.start();
+
+    gameService.scheduleCrash();
+    jest.advanceTimersByTime(gameService.roundClock.getTimeUntil(8.4));
+
+    expect(gameService.settleCashout).not.toHaveBeenCalled();
+    expect(gameService.crashRound).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,28 @@
+const GameService = require('../services/GameService');
+const { toErrorResponse } = require('../utils/errors');
+
+describe('concurrent cashouts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects a second cashout of the same bet with REQUEST_IN_PROGRESS', async () => {
+    const gameService = new GameService();
+    let finish;
+    jest.spyOn(gameService, 'executeCashout').mockReturnValue(new Promise(resolve => { finish = resolve; }));
+    const bet = { betId: 'bet-1', playerId: 'player1', username: 'CryptoKing' };
+
+    const first = gameService.settleCashout(bet, 2);
+    const error = await gameService.settleCashout(bet, 2).catch(rejection => rejection);
+
+    expect(error.code).toBe('REQUEST_IN_PROGRESS');
+    expect(toErrorResponse(error)).toEqual({
+      status: 409,
+      body: { error: 'Cashout already in progress', code: 'REQUEST_IN_PROGRESS' }
+    });
+
+    finish({ success: true });
+    await expect(first).resolves.toEqual({ success: true });
+    expect(gameService.pendingCashouts.size).toBe(0);
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../utils/db', () => ({
+  withTransaction: (work) => work(null)
+}));
+
+const GameRound = require('../models/GameRound');
+const GameService = require('../services/GameService');
+
+describe('crashRound', () => {
+  let gameService;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    gameService = new GameService();
+    gameService.currentRound = new GameRound({
+      roundId: 'round-1',
+      status: 'active',
+      startTime: new Date(),
+      crashPoint: 2,
+      seed: 'a'.repeat(64),
+      hash: 'b'.repeat(64),
+      salt: 'salt'
+    });
+    gameService.roundClock.start();
+    jest.spyOn(gameService, 'startNewRound').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('still ends the round and schedules the next one when settling fails', async () => {
+    jest.spyOn(GameRound, 'updateOne').mockRejectedValue(new Error('connection lost'));
+    const crashed = jest.fn();
+    gameService.on('roundCrashed', crashed);
+
+    await expect(gameService.crashRound(2)).resolves.toBeUndefined();
+
+    expect(gameService.currentRound.status).toBe('crashed');
+    expect(gameService.isCrashing).toBe(false);
+    expect(crashed).toHaveBeenCalledWith(expect.objectContaining({ roundId: 'round-1', crashPoint: 2 }));
+
+    jest.advanceTimersByTime(5000);
+    expect(gameService.startNewRound).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the round as crashed when settling the stakes fails', async () => {
+    jest.spyOn(GameRound, 'updateOne').mockResolvedValue({});
+    jest.spyOn(gameService.ledger, 'post').mockRejectedValue(new Error('write conflict'));
+
+    await gameService.crashRound(2);
+
+    // Once inside the failed transaction, once more on its own
+    expect(GameRound.updateOne).toHaveBeenCalledTimes(2);
+    expect(GameRound.updateOne).toHaveBeenLastCalledWith(
+      { _id: gameService.currentRound._id },
+      { $set: expect.objectContaining({ status: 'crashed' }) },
+      { session: null }
+    );
+    expect(gameService.currentRound.status).toBe('crashed');
+
+    jest.advanceTimersByTime(5000);
+    expect(gameService.startNewRound).toHaveBeenCalledTimes(1);
+  });
+
+  it('settles the losing stakes and schedules the next round', async () => {
+    jest.spyOn(GameRound, 'updateOne').mockResolvedValue({});
+    jest.spyOn(gameService.ledger, 'post').mockResolvedValue(null);
+
+    await gameService.crashRound(2);
+
+    expect(GameRound.updateOne).toHaveBeenCalledWith(
+      { _id: gameService.currentRound._id },
+      { $set: expect.objectContaining({ status: 'crashed' }) },
+      { session: null }
+    );
+    expect(gameService.ledger.post).toHaveBeenCalledWith('settlement', [], { session: null, roundId: 'round-1' });
+
+    jest.advanceTimersByTime(5000);
+    expect(gameService.startNewRound).toHaveBeenCalledTimes(1);
+  });
+});
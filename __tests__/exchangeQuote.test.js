@@ -0,0 +1,68 @@
+const ExchangeQuote = require('../models/ExchangeQuote');
+const Player = require('../models/Player');
+const ExchangeService = require('../services/ExchangeService');
+
+const BTC_PRICE = 50000;
+
+describe('exchange quotes', () => {
+  let exchange;
+  let snapshot;
+
+  beforeEach(() => {
+    exchange = new ExchangeService();
+
+    snapshot = {
+      btc: { price: BTC_PRICE, source: 'coingecko', updatedAt: Date.now(), deviation: null },
+      eth: { price: 3000, source: 'coingecko', updatedAt: Date.now(), deviation: null }
+    };
+    jest.spyOn(exchange.cryptoApi, 'getAllPrices').mockResolvedValue({ btc: BTC_PRICE, eth: 3000 });
+    jest.spyOn(exchange.cryptoApi, 'getPriceSnapshot').mockImplementation(() => snapshot);
+    jest.spyOn(Player, 'findOne').mockResolvedValue(Player.hydrate({ playerId: 'player1', username: 'CryptoKing' }));
+    jest.spyOn(ExchangeQuote, 'create').mockImplementation(async (doc) => new ExchangeQuote(doc));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.EXCHANGE_SPREAD;
+  });
+
+  it('quotes at a healthy price less the spread', async () => {
+    const quote = await exchange.createQuote('player1', 'btc', 'usd', 0.001);
+
+    expect(quote.toAmount).toBe(49.5);
+    expect(quote.spread).toBe(0.01);
+  });
+
+  it('refuses to quote a currency whose price is stale', async () => {
+    snapshot.btc.updatedAt = Date.now() - 10 * 60 * 1000;
+
+    await expect(exchange.createQuote('player1', 'usd', 'btc', 100)).rejects.toMatchObject({
+      code: 'EXCHANGE_SUSPENDED'
+    });
+    expect(ExchangeQuote.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to quote a currency whose providers disagree', async () => {
+    Object.assign(snapshot.eth, {
+      referenceSource: 'binance',
+      referenceUpdatedAt: Date.now(),
+      deviation: 0.2
+    });
+
+    await expect(exchange.createQuote('player1', 'btc', 'eth', 0.001)).rejects.toMatchObject({
+      code: 'EXCHANGE_SUSPENDED'
+    });
+  });
+
+  it.each(['abc', '-0.01', '1', '1.5', 'Infinity'])('refuses to start with EXCHANGE_SPREAD=%s', (spread) => {
+    process.env.EXCHANGE_SPREAD = spread;
+
+    expect(() => new ExchangeService()).toThrow(/EXCHANGE_SPREAD/);
+  });
+
+  it('accepts a spread of 0', () => {
+    process.env.EXCHANGE_SPREAD = '0';
+
+    expect(new ExchangeService().spread).toBe(0);
+  });
+});
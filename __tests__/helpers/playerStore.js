@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Player = require('../../models/Player');
+
+/**
+ * In-memory player collection. Like MongoDB, each update matches and applies
+ * in one step, so concurrent callers only interleave between operations.
+ * Filters support equality and $gte, $lte and $ne; updates $inc and $set.
+ * @param {Object} player - The one stored player
+ */
+function createPlayerStore(player) {
+  const stored = JSON.parse(JSON.stringify(player));
+
+  const read = path => path.split('.').reduce((value, key) => value[key], stored);
+  const write = (path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((target, key) => target[key], stored)[last] = value;
+  };
+  const load = async () => Player.hydrate(JSON.parse(JSON.stringify(stored)));
+
+  function matches(filter) {
+    return Object.entries(filter).every(([path, condition]) => {
+      const value = path === '_id' ? stored._id : read(path);
+      if (condition === null || typeof condition !== 'object' || condition instanceof mongoose.Types.ObjectId) {
+        return String(value) === String(condition);
+      }
+      return (condition.$gte === undefined || value >= condition.$gte) &&
+        (condition.$lte === undefined || value <= condition.$lte) &&
+        (condition.$ne === undefined || value !== condition.$ne);
+    });
+  }
+
+  async function update(filter, changes) {
+    // Yield first so parallel requests really overlap
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (!matches(filter)) {
+      return null;
+    }
+    for (const [path, amount] of Object.entries(changes.$inc || {})) {
+      write(path, read(path) + amount);
+    }
+    for (const [path, value] of Object.entries(changes.$set || {})) {
+      write(path, value);
+    }
+    return load();
+  }
+
+  // Chainable like a mongoose query
+  function findOne() {
+    const query = { select: () => query, session: () => query };
+    query.then = (resolve, reject) => load().then(resolve, reject);
+    return query;
+  }
+
+  return { stored, load, update, findOne };
+}
+
+module.exports = {
+  createPlayerStore
+};
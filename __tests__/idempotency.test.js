@@ -0,0 +1,117 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+const IdempotencyService = require('../services/IdempotencyService');
+
+const REQUEST = { scope: 'bet', playerId: 'player1', key: 'key-1', payload: { amount: 10 } };
+
+// Keep the records in memory, matching filters on equality and `$lte`
+function matches(record, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$lte !== undefined) {
+      return record[field] <= condition.$lte;
+    }
+    return record[field] === condition;
+  });
+}
+
+describe('idempotency keys', () => {
+  let records;
+  let idempotency;
+
+  beforeEach(() => {
+    records = [];
+    idempotency = new IdempotencyService();
+
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (doc) => {
+      if (records.some(record => matches(record, { scope: doc.scope, playerId: doc.playerId, key: doc.key }))) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      records.push({ status: 'processing', response: null, ...doc });
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async (filter) => {
+      return records.find(record => matches(record, filter)) || null;
+    });
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const record = records.find(entry => matches(entry, filter));
+      return record ? Object.assign(record, update.$set) : null;
+    });
+    jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, update) => {
+      const record = records.find(entry => matches(entry, filter));
+      if (record) {
+        Object.assign(record, update.$set);
+      }
+    });
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async (filter) => {
+      records = records.filter(record => !matches(record, filter));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // A request whose process died after claiming the key
+  async function abandonRequest() {
+    await idempotency.claim(
+      { scope: REQUEST.scope, playerId: REQUEST.playerId, key: REQUEST.key },
+      IdempotencyService.fingerprint(REQUEST.payload),
+      'dead-lease'
+    );
+  }
+
+  it('replays the stored result of a finished request', async () => {
+    const handler = jest.fn().mockResolvedValue({ betId: 'bet1' });
+
+    await idempotency.run(REQUEST, handler);
+    const retry = await idempotency.run(REQUEST, handler);
+
+    expect(retry).toEqual({ result: { betId: 'bet1' }, replayed: true });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a retry while the first request still holds its lease', async () => {
+    await abandonRequest();
+
+    await expect(idempotency.run(REQUEST, jest.fn())).rejects.toMatchObject({ code: 'REQUEST_IN_PROGRESS' });
+  });
+
+  it('lets a retry take over a request whose lease ran out', async () => {
+    await abandonRequest();
+    records[0].leaseExpiresAt = new Date(Date.now() - 1000);
+
+    const retry = await idempotency.run(REQUEST, jest.fn().mockResolvedValue({ betId: 'bet2' }));
+
+    expect(retry).toEqual({ result: { betId: 'bet2' }, replayed: false });
+    expect(records[0]).toMatchObject({ status: 'completed', response: { betId: 'bet2' } });
+  });
+
+  it('does not let a different request take over an expired key', async () => {
+    await abandonRequest();
+    records[0].leaseExpiresAt = new Date(Date.now() - 1000);
+
+    await expect(idempotency.run({ ...REQUEST, payload: { amount: 20 } }, jest.fn())).rejects.toMatchObject({
+      code: 'IDEMPOTENCY_KEY_REUSED'
+    });
+  });
+
+  it('does not let a request that was taken over finish the record', async () => {
+    let finishFirst;
+    const first = idempotency.run(REQUEST, () => new Promise(resolve => { finishFirst = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+    records[0].leaseExpiresAt = new Date(Date.now() - 1000);
+
+    await idempotency.run(REQUEST, jest.fn().mockResolvedValue({ betId: 'bet2' }));
+    finishFirst({ betId: 'bet1' });
+    await first;
+
+    expect(records[0].response).toEqual({ betId: 'bet2' });
+  });
+
+  it('rejects a key longer than 255 characters', async () => {
+    const handler = jest.fn();
+
+    await expect(idempotency.run({ ...REQUEST, key: 'k'.repeat(256) }, handler)).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR'
+    });
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,101 @@
+const GameRound = require('../models/GameRound');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerService = require('../services/LedgerService');
+
+function buildPlayer(wallet) {
+  return { playerId: 'player1', username: 'CryptoKing', wallet: wallet };
+}
+
+describe('ledger opening backfill', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = new LedgerService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('opens a player without entries at their current balances', async () => {
+    jest.spyOn(LedgerEntry, 'exists').mockResolvedValue(null);
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+
+    const transfers = await ledger.getOpeningBackfill(buildPlayer({ usd: 5000, btc: 0.1, eth: 0 }));
+
+    expect(transfers).toEqual([
+      { from: LedgerService.external(), to: LedgerService.player('player1'), currency: 'usd', amount: 5000 },
+      { from: LedgerService.external(), to: LedgerService.player('player1'), currency: 'btc', amount: 0.1 }
+    ]);
+  });
+
+  it('opens only what the wallet holds beyond entries posted since the ledger existed', async () => {
+    jest.spyOn(LedgerEntry, 'exists').mockResolvedValue(null);
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([{ _id: 'usd', balance: -40 }]);
+
+    const transfers = await ledger.getOpeningBackfill(buildPlayer({ usd: 960, btc: 0, eth: 0 }));
+
+    expect(transfers).toEqual([
+      { from: LedgerService.external(), to: LedgerService.player('player1'), currency: 'usd', amount: 1000 }
+    ]);
+  });
+
+  it('skips players that already have an opening journal', async () => {
+    jest.spyOn(LedgerEntry, 'exists').mockResolvedValue({ _id: 'entry' });
+    jest.spyOn(LedgerEntry, 'aggregate');
+
+    const transfers = await ledger.getOpeningBackfill(buildPlayer({ usd: 1000, btc: 0, eth: 0 }));
+
+    expect(transfers).toEqual([]);
+    expect(LedgerEntry.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('unsettled rounds', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = new LedgerService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function mockLiveRounds(roundIds) {
+    const query = { select: jest.fn(() => query) };
+    query.then = (resolve, reject) => Promise.resolve(roundIds.map(roundId => ({ roundId }))).then(resolve, reject);
+    jest.spyOn(GameRound, 'find').mockReturnValue(query);
+  }
+
+  it('reports finished rounds that still hold stakes in the pending account', async () => {
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([
+      { _id: { roundId: 'round-failed', currency: 'usd' }, pending: 30 },
+      { _id: { roundId: 'round-failed', currency: 'btc' }, pending: 0.0004 },
+      { _id: { roundId: 'round-settled', currency: 'usd' }, pending: 1e-9 },
+      { _id: { roundId: 'round-live', currency: 'usd' }, pending: 50 }
+    ]);
+    mockLiveRounds(['round-live']);
+
+    const rounds = await ledger.getUnsettledRounds();
+
+    expect(rounds).toEqual([
+      { roundId: 'round-failed', currency: 'usd', pending: 30 },
+      { roundId: 'round-failed', currency: 'btc', pending: 0.0004 }
+    ]);
+    expect(GameRound.find).toHaveBeenCalledWith({
+      roundId: { $in: ['round-failed', 'round-live'] },
+      status: { $in: ['waiting', 'active'] }
+    });
+  });
+
+  it('matches queued bets to their round through the bet transaction', async () => {
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+
+    await expect(ledger.getUnsettledRounds()).resolves.toEqual([]);
+
+    const pipeline = LedgerEntry.aggregate.mock.calls[0][0];
+    expect(pipeline[0]).toEqual({ $match: { accountType: 'pending' } });
+    expect(pipeline[1].$lookup).toMatchObject({ localField: 'transactionId', foreignField: 'transactionId' });
+  });
+});
@@ -0,0 +1,70 @@
+const CryptoApiService = require('../services/CryptoApiService');
+
+// A provider answering with fixed prices, counting its calls
+function mockProvider(name, prices) {
+  return { name: name, timeout: 1000, fetchPrices: jest.fn(async () => ({ ...prices })) };
+}
+
+describe('price cross-check', () => {
+  let now;
+  let primary;
+  let secondary;
+  let cryptoApi;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    primary = mockProvider('coingecko', { btc: 50000, eth: 3000 });
+    secondary = mockProvider('coinmarketcap', { btc: 50100, eth: 3005 });
+    cryptoApi = new CryptoApiService([primary, secondary]);
+    jest.spyOn(cryptoApi.history, 'recordPricesInBackground').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Refresh the prices and let the background cross-check finish
+  async function refresh() {
+    await cryptoApi.refreshPrices();
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  it('asks the second provider once per interval, not on every refresh', async () => {
+    for (let i = 0; i < 3; i++) {
+      await refresh();
+      expect(primary.fetchPrices).toHaveBeenCalledTimes(i + 1);
+      expect(secondary.fetchPrices).toHaveBeenCalledTimes(1);
+      now += 10000;
+    }
+
+    await refresh();
+    expect(primary.fetchPrices).toHaveBeenCalledTimes(4);
+    expect(secondary.fetchPrices).toHaveBeenCalledTimes(2);
+    expect(cryptoApi.getPriceSnapshot().btc.referencePrice).toBe(50100);
+  });
+
+  it('asks the second provider early once a price moves away from its reference', async () => {
+    await refresh();
+    now += 10000;
+    primary.fetchPrices.mockResolvedValue({ btc: 45000, eth: 3000 });
+
+    await refresh();
+
+    expect(primary.fetchPrices).toHaveBeenCalledTimes(2);
+    expect(secondary.fetchPrices).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not ask the second provider when cross-checks are off', async () => {
+    process.env.PRICE_CROSS_CHECK = 'false';
+    cryptoApi = new CryptoApiService([primary, secondary]);
+    delete process.env.PRICE_CROSS_CHECK;
+    jest.spyOn(cryptoApi.history, 'recordPricesInBackground').mockImplementation(() => {});
+
+    await refresh();
+
+    expect(primary.fetchPrices).toHaveBeenCalledTimes(1);
+    expect(secondary.fetchPrices).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+const express = require('express');
+const PriceCandle = require('../models/PriceCandle');
+const createCryptoRouter = require('../routes/crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Chainable stand-in for a mongoose query resolving to `result`
+function mockQuery(result) {
+  const query = {};
+  query.sort = jest.fn(() => query);
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+}
+
+describe('GET /api/crypto/history/:currency', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach((done) => {
+    jest.spyOn(PriceCandle, 'find').mockReturnValue(mockQuery([]));
+
+    const app = express();
+    app.use('/api/crypto', createCryptoRouter({}));
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/crypto`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    jest.restoreAllMocks();
+    server.close(done);
+  });
+
+  async function getRange(query) {
+    const response = await fetch(`${baseUrl}/history/btc?${query}`);
+    const body = await response.json();
+    return { status: response.status, body, span: new Date(body.to) - new Date(body.from) };
+  }
+
+  it('defaults to the last 1000 candles for 1m', async () => {
+    const { status, span } = await getRange('interval=1m');
+
+    expect(status).toBe(200);
+    expect(span).toBe(1000 * PriceCandle.INTERVALS['1m']);
+  });
+
+  it.each(['1h', '1d'])('defaults to 7 days for %s', async (interval) => {
+    const { status, span } = await getRange(`interval=${interval}`);
+
+    expect(status).toBe(200);
+    expect(span).toBe(7 * DAY);
+  });
+
+  it('uses the days given', async () => {
+    const { status, span } = await getRange('interval=1h&days=30');
+
+    expect(status).toBe(200);
+    expect(span).toBe(30 * DAY);
+  });
+
+  it('still refuses an explicit range with too many candles', async () => {
+    const { status, body } = await getRange('interval=1m&days=7');
+
+    expect(status).toBe(400);
+    expect(body.code).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const GameRound = require('../models/GameRound');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const UsedPriceQuote = require('../models/UsedPriceQuote');
+const GameService = require('../services/GameService');
+const PriceQuoteService = require('../services/PriceQuoteService');
+const { checkTransactionSupport } = require('../utils/db');
+const { createPlayerStore } = require('./helpers/playerStore');
+
+const BTC_PRICE = 50000;
+
+// Connection stand-in answering the `hello` command of a replica set
+const replicaSet = { db: { admin: () => ({ command: async () => ({ setName: 'rs0' }) }) } };
+
+describe('price quotes', () => {
+  let cryptoApi;
+  let quotes;
+  let usedQuoteIds;
+
+  beforeEach(() => {
+    cryptoApi = { getPrice: jest.fn().mockResolvedValue(BTC_PRICE) };
+    quotes = new PriceQuoteService(cryptoApi);
+
+    // Unique index on quoteId, as in MongoDB
+    usedQuoteIds = new Set();
+    jest.spyOn(UsedPriceQuote, 'create').mockImplementation(async ([doc]) => {
+      if (usedQuoteIds.has(doc.quoteId)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      usedQuoteIds.add(doc.quoteId);
+      return [doc];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.PRICE_QUOTE_SECRET;
+    delete process.env.REQUIRE_PRICE_QUOTE;
+  });
+
+  async function rejectionOf(promise) {
+    return promise.then(() => null, error => error);
+  }
+
+  it('converts a bet at the quoted price', async () => {
+    const { quote } = await quotes.issueQuote('btc', 'player1');
+    cryptoApi.getPrice.mockResolvedValue(BTC_PRICE * 1.001);
+
+    await expect(quotes.checkBetQuote(quote, 'btc', 'player1')).resolves.toMatchObject({ price: BTC_PRICE });
+  });
+
+  it('requires a quote by default', async () => {
+    const error = await rejectionOf(quotes.checkBetQuote(null, 'btc', 'player1'));
+
+    expect(error.code).toBe('PRICE_QUOTE_REQUIRED');
+  });
+
+  it('uses the live price without a quote only when quotes are optional', async () => {
+    process.env.REQUIRE_PRICE_QUOTE = 'false';
+    quotes = new PriceQuoteService(cryptoApi);
+
+    await expect(quotes.checkBetQuote(null, 'btc', 'player1')).resolves.toBeNull();
+  });
+
+  it('refuses a quote issued to another player', async () => {
+    const { quote } = await quotes.issueQuote('btc', 'player1');
+
+    const error = await rejectionOf(quotes.checkBetQuote(quote, 'btc', 'player2'));
+
+    expect(error.code).toBe('INVALID_PRICE_QUOTE');
+    expect(usedQuoteIds.size).toBe(0);
+  });
+
+  it('refuses a quote with a forged price', async () => {
+    const { quote } = await quotes.issueQuote('btc', 'player1');
+    const [encodedPayload, signature] = quote.split('.');
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...payload, price: 0.01 })).toString('base64url');
+
+    const error = await rejectionOf(quotes.checkBetQuote(`${forged}.${signature}`, 'btc', 'player1'));
+
+    expect(error.code).toBe('INVALID_PRICE_QUOTE');
+  });
+
+  it('lets each quote fund one bet only', async () => {
+    const { quote } = await quotes.issueQuote('btc', 'player1');
+    const payload = await quotes.checkBetQuote(quote, 'btc', 'player1');
+
+    const results = await Promise.allSettled([
+      quotes.consumeQuote(payload),
+      quotes.consumeQuote(payload)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('PRICE_QUOTE_USED');
+  });
+
+  it('does not use a quote up while checking it', async () => {
+    const { quote } = await quotes.issueQuote('btc', 'player1');
+
+    await quotes.checkBetQuote(quote, 'btc', 'player1');
+    await quotes.checkBetQuote(quote, 'btc', 'player1');
+
+    expect(UsedPriceQuote.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a quote the live price has moved away from', async () => {
+    const { quote } = await quotes.issueQuote('btc', 'player1');
+    cryptoApi.getPrice.mockResolvedValue(BTC_PRICE * 1.02);
+
+    const error = await rejectionOf(quotes.checkBetQuote(quote, 'btc', 'player1'));
+
+    expect(error.code).toBe('PRICE_QUOTE_EXPIRED');
+    expect(usedQuoteIds.size).toBe(0);
+  });
+
+  it('refuses an expired quote', async () => {
+    jest.useFakeTimers();
+    try {
+      const { quote } = await quotes.issueQuote('btc', 'player1');
+      jest.advanceTimersByTime(quotes.ttlSeconds * 1000);
+
+      const error = await rejectionOf(quotes.checkBetQuote(quote, 'btc', 'player1'));
+
+      expect(error.code).toBe('PRICE_QUOTE_EXPIRED');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it.each(['your_price_quote_secret_here', 'too-short'])('refuses to start with the secret %s', (secret) => {
+    process.env.PRICE_QUOTE_SECRET = secret;
+
+    expect(() => new PriceQuoteService(cryptoApi)).toThrow(/PRICE_QUOTE_SECRET/);
+  });
+});
+
+describe('bets funded by a quote', () => {
+  let gameService;
+  let store;
+  let usedQuoteIds;
+  let sessions;
+
+  beforeEach(async () => {
+    await checkTransactionSupport(replicaSet);
+
+    // Used quotes only count once the transaction that recorded them commits
+    usedQuoteIds = new Set();
+    sessions = [];
+    jest.spyOn(mongoose, 'startSession').mockImplementation(async () => {
+      const session = {
+        recorded: [],
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(async () => session.recorded.forEach(id => usedQuoteIds.add(id))),
+        abortTransaction: jest.fn().mockResolvedValue(),
+        endSession: jest.fn().mockResolvedValue()
+      };
+      sessions.push(session);
+      return session;
+    });
+    jest.spyOn(UsedPriceQuote, 'create').mockImplementation(async ([doc], { session }) => {
+      if (usedQuoteIds.has(doc.quoteId)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      session.recorded.push(doc.quoteId);
+      return [doc];
+    });
+
+    store = createPlayerStore({
+      _id: new mongoose.Types.ObjectId().toString(),
+      playerId: 'player1',
+      username: 'CryptoKing',
+      wallet: { usd: 20, btc: 0.001, eth: 0 },
+      clientSeed: 'seed',
+      nonce: 0,
+      totalBets: 0
+    });
+    jest.spyOn(Player, 'findOne').mockImplementation(store.findOne);
+    jest.spyOn(Player, 'findOneAndUpdate').mockImplementation(store.update);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (docs) => docs.map(doc => new Transaction(doc)));
+    jest.spyOn(GameRound, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    gameService = new GameService();
+    gameService.currentRound = new GameRound({
+      roundId: 'round-1',
+      status: 'waiting',
+      startTime: new Date(),
+      seed: 'a'.repeat(64),
+      hash: 'b'.repeat(64),
+      salt: 'salt'
+    });
+    jest.spyOn(gameService.cryptoApi, 'getPrice').mockResolvedValue(BTC_PRICE);
+    jest.spyOn(gameService, 'checkPriceHealth').mockResolvedValue();
+    jest.spyOn(gameService, 'assertBettingOpen').mockReturnValue();
+    jest.spyOn(gameService, 'getOrCreatePlayer').mockImplementation(store.load);
+    jest.spyOn(gameService.ledger, 'post').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function issueQuote() {
+    return (await gameService.priceQuotes.issueQuote('btc', 'player1')).quote;
+  }
+
+  it('records the quote in the transaction that debits the bet', async () => {
+    const quote = await issueQuote();
+
+    await gameService.placeBet('player1', 'CryptoKing', 10, 'btc', null, 'usd', quote);
+
+    expect(UsedPriceQuote.create).toHaveBeenCalledWith([expect.anything()], { session: sessions[0] });
+    expect(sessions[0].commitTransaction).toHaveBeenCalled();
+    expect(usedQuoteIds.size).toBe(1);
+  });
+
+  it('leaves the quote usable when the bet fails', async () => {
+    const quote = await issueQuote();
+
+    await expect(gameService.placeBet('player1', 'CryptoKing', 30, 'btc', null, 'usd', quote)).rejects.toMatchObject({
+      code: 'INSUFFICIENT_BALANCE'
+    });
+    expect(sessions[0].abortTransaction).toHaveBeenCalled();
+    expect(usedQuoteIds.size).toBe(0);
+
+    await gameService.placeBet('player1', 'CryptoKing', 10, 'btc', null, 'usd', quote);
+    expect(store.stored.wallet.usd).toBe(10);
+  });
+
+  it('converts a queued USD bet at the live price when it is placed, not at the quoted one', async () => {
+    gameService.currentRound.status = 'active';
+    const quote = await issueQuote();
+
+    await gameService.placeBet('player1', 'CryptoKing', 10, 'btc', null, 'usd', quote);
+
+    const [[[queued]]] = Transaction.create.mock.calls;
+    expect(queued.priceAtTime).toBe(0);
+    expect(UsedPriceQuote.create).toHaveBeenCalledWith([expect.anything()], { session: sessions[0] });
+  });
+
+  it('refunds a queued crypto bet the price has moved away from', async () => {
+    const queued = new Transaction({
+      transactionId: 'queued-1',
+      playerId: 'player1',
+      username: 'CryptoKing',
+      transactionType: 'bet',
+      currency: 'btc',
+      usdAmount: 20,
+      cryptoAmount: 0.0004,
+      priceAtTime: BTC_PRICE,
+      transactionHash: 'hash',
+      status: 'pending',
+      metadata: { queued: true, fundingSource: 'btc' }
+    });
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(queued);
+    gameService.cryptoApi.getPrice.mockResolvedValue(BTC_PRICE * 1.05);
+
+    await expect(gameService.placeQueuedBet(queued)).rejects.toMatchObject({ code: 'PRICE_QUOTE_EXPIRED' });
+
+    expect(GameRound.updateOne).not.toHaveBeenCalled();
+    expect(Transaction.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: queued._id, status: { $ne: 'failed' } },
+      { $set: expect.objectContaining({ status: 'failed' }) },
+      expect.anything()
+    );
+    expect(store.stored.wallet.btc).toBeCloseTo(0.0014, 10);
+  });
+});
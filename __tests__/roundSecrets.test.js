@@ -0,0 +1,190 @@
+const express = require('express');
+const GameRound = require('../models/GameRound');
+const GameService = require('../services/GameService');
+const WebSocketService = require('../services/WebSocketService');
+const createGameRouter = require('../routes/game');
+
+const SEED = 'a'.repeat(64);
+const CRASH_POINT = 3.1415;
+
+function buildRound(status, overrides = {}) {
+  return new GameRound({
+    roundId: `round-${status}`,
+    status: status,
+    startTime: new Date(),
+    crashPoint: status === 'waiting' ? null : CRASH_POINT,
+    seed: SEED,
+    hash: 'b'.repeat(64),
+    salt: 'salt',
+    bets: [{
+      betId: 'bet-1',
+      playerId: 'player1',
+      username: 'CryptoKing',
+      usdAmount: 10,
+      cryptoAmount: 0.0002,
+      currency: 'btc',
+      priceAtTime: 50000
+    }],
+    ...overrides
+  });
+}
+
+// Fails if the crash point or seed of the round shows up anywhere in the payload
+function expectNoSecrets(payload) {
+  const json = JSON.stringify(payload);
+  expect(json).not.toContain(SEED);
+  expect(json).not.toContain('"seed"');
+  expect(json).not.toMatch(/"crashPoint":[^n]/);
+}
+
+// Chainable stand-in for a mongoose query resolving to `result`
+function mockQuery(result) {
+  const query = {};
+  for (const method of ['sort', 'skip', 'limit', 'select']) {
+    query[method] = jest.fn(() => query);
+  }
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+}
+
+function createFakeIo() {
+  return {
+    use: jest.fn(),
+    on: jest.fn(),
+    emit: jest.fn(),
+    sockets: { sockets: new Map() }
+  };
+}
+
+describe('round secrets', () => {
+  let gameService;
+
+  beforeEach(() => {
+    gameService = new GameService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('toPublicJSON', () => {
+    it.each(['waiting', 'active'])('hides the crash point and seed while the round is %s', (status) => {
+      const round = buildRound(status);
+
+      expectNoSecrets(round.toPublicJSON());
+      expectNoSecrets(round.toPublicJSON({ includeBets: true }));
+      expectNoSecrets(round.getStatistics());
+    });
+
+    it.each(['crashed', 'completed'])('reveals the crash point and seed once the round is %s', (status) => {
+      const data = buildRound(status).toPublicJSON();
+
+      expect(data.crashPoint).toBe(CRASH_POINT);
+      expect(data.seed).toBe(SEED);
+    });
+  });
+
+  describe('REST routes', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach((done) => {
+      const app = express();
+      app.use('/api/game', createGameRouter(gameService));
+      server = app.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/game`;
+        done();
+      });
+    });
+
+    afterEach((done) => {
+      server.close(done);
+    });
+
+    it.each(['waiting', 'active'])('GET /state hides the secrets while the round is %s', async (status) => {
+      gameService.currentRound = buildRound(status);
+      if (status === 'active') {
+        gameService.roundClock.start(Date.now() - 500);
+      }
+
+      const response = await fetch(`${baseUrl}/state`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.currentRound.roundId).toBe(`round-${status}`);
+      expectNoSecrets(body);
+    });
+
+    it.each(['waiting', 'active'])('GET /round/:roundId hides the secrets while the round is %s', async (status) => {
+      jest.spyOn(GameRound, 'findOne').mockResolvedValue(buildRound(status));
+
+      const response = await fetch(`${baseUrl}/round/round-${status}`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.bets).toHaveLength(1);
+      expectNoSecrets(body);
+    });
+
+    it('GET /history hides the secrets of unfinished rounds only', async () => {
+      const rounds = [buildRound('waiting'), buildRound('active'), buildRound('crashed')];
+      jest.spyOn(GameRound, 'find').mockReturnValue(mockQuery(rounds));
+      jest.spyOn(GameRound, 'countDocuments').mockResolvedValue(rounds.length);
+
+      const response = await fetch(`${baseUrl}/history`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expectNoSecrets(body.rounds.slice(0, 2));
+      expect(body.rounds[2].crashPoint).toBe(CRASH_POINT);
+    });
+  });
+
+  describe('GameService', () => {
+    it('getRoundHistory hides the secrets of unfinished rounds', async () => {
+      jest.spyOn(GameRound, 'find').mockReturnValue(mockQuery([buildRound('waiting'), buildRound('active')]));
+
+      const history = await gameService.getRoundHistory(10);
+
+      expect(history).toHaveLength(2);
+      expectNoSecrets(history);
+    });
+  });
+
+  describe('socket events', () => {
+    it('gameState hides the secrets of an active round', () => {
+      const webSocketService = new WebSocketService(createFakeIo(), gameService);
+      const socket = { emit: jest.fn() };
+      gameService.currentRound = buildRound('active');
+      gameService.roundClock.start(Date.now() - 500);
+
+      webSocketService.sendGameState(socket);
+
+      expect(socket.emit).toHaveBeenCalledWith('gameState', expect.any(Object));
+      expectNoSecrets(socket.emit.mock.calls[0][1]);
+    });
+
+    it('roundStart only publishes the commitment', async () => {
+      jest.useFakeTimers();
+      const io = createFakeIo();
+      new WebSocketService(io, gameService);
+      jest.spyOn(GameRound.prototype, 'save').mockResolvedValue();
+      jest.spyOn(gameService, 'placeQueuedBets').mockResolvedValue();
+      gameService.seedChain.next = jest.fn().mockResolvedValue({
+        seed: SEED,
+        hash: 'b'.repeat(64),
+        chainId: 'chain-1',
+        chainIndex: 0,
+        previousHash: null
+      });
+
+      await gameService.startNewRound();
+
+      const [event, data] = io.emit.mock.calls.find(([name]) => name === 'roundStart');
+      expect(event).toBe('roundStart');
+      expect(data.hash).toBe('b'.repeat(64));
+      expectNoSecrets(data);
+    });
+  });
+});
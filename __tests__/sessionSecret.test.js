@@ -0,0 +1,27 @@
+const SessionService = require('../services/SessionService');
+
+describe('JWT_SECRET', () => {
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+  });
+
+  it.each(['your_jwt_secret_here', 'changeme', 'short-secret'])('refuses to start with %s', (secret) => {
+    process.env.JWT_SECRET = secret;
+
+    expect(() => new SessionService()).toThrow(/JWT_SECRET/);
+  });
+
+  it('signs with a configured secret of at least 32 bytes', () => {
+    process.env.JWT_SECRET = 'a'.repeat(32);
+
+    expect(new SessionService().secret).toBe(process.env.JWT_SECRET);
+  });
+
+  it('falls back to one random secret when none is set', () => {
+    const first = new SessionService();
+    const second = new SessionService();
+
+    expect(first.secret).toHaveLength(64);
+    expect(second.secret).toBe(first.secret);
+  });
+});
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const GameRound = require('../models/GameRound');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const GameService = require('../services/GameService');
+const { checkTransactionSupport, withTransaction } = require('../utils/db');
+const { createPlayerStore } = require('./helpers/playerStore');
+
+const BTC_PRICE = 50000;
+
+// Connection stand-in answering the `hello` command
+function fakeConnection(hello) {
+  return { db: { admin: () => ({ command: async () => hello }) } };
+}
+
+describe('parallel bets against one wallet', () => {
+  let gameService;
+  let store;
+
+  beforeEach(async () => {
+    // There is no server here, so the work runs without a session; what is
+    // under test is the conditional debit every bet goes through
+    process.env.MONGODB_ALLOW_STANDALONE = 'true';
+    await checkTransactionSupport(fakeConnection({}));
+
+    store = createPlayerStore({
+      _id: new mongoose.Types.ObjectId().toString(),
+      playerId: 'player1',
+      username: 'CryptoKing',
+      wallet: { usd: 100, btc: 0.001, eth: 0 },
+      clientSeed: 'seed',
+      nonce: 0,
+      totalBets: 0
+    });
+    jest.spyOn(Player, 'findOneAndUpdate').mockImplementation(store.update);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (docs) => docs);
+
+    gameService = new GameService();
+    gameService.currentRound = new GameRound({
+      roundId: 'round-1',
+      status: 'waiting',
+      startTime: new Date(),
+      seed: 'a'.repeat(64),
+      hash: 'b'.repeat(64),
+      salt: 'salt'
+    });
+    jest.spyOn(gameService.currentRound, 'addBet').mockImplementation(async (betData) => {
+      gameService.currentRound.bets.push(betData);
+      return gameService.currentRound.bets[gameService.currentRound.bets.length - 1];
+    });
+    jest.spyOn(gameService, 'checkPriceHealth').mockResolvedValue();
+    jest.spyOn(gameService, 'assertBettingOpen').mockReturnValue();
+    jest.spyOn(gameService.priceQuotes, 'checkBetQuote').mockResolvedValue(null);
+    jest.spyOn(gameService, 'getOrCreatePlayer').mockImplementation(store.load);
+    jest.spyOn(gameService.ledger, 'post').mockResolvedValue([]);
+    jest.spyOn(gameService, 'getBetConversion').mockImplementation(async (usdAmount) => ({
+      pricePerCrypto: BTC_PRICE,
+      cryptoAmount: usdAmount / BTC_PRICE
+    }));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    // Leave utils/db in its default (transactions required) state
+    await checkTransactionSupport(fakeConnection({ setName: 'rs0' }));
+    delete process.env.MONGODB_ALLOW_STANDALONE;
+  });
+
+  // Runs the bets the way several sockets or tabs would: all at once
+  function placeParallelBets(count, usdAmount, fundingSource = 'usd') {
+    return Promise.allSettled(Array.from({ length: count }, () =>
+      gameService.placeBet('player1', 'CryptoKing', usdAmount, 'btc', null, fundingSource)
+    ));
+  }
+
+  it('never overdraws the USD wallet', async () => {
+    const results = await placeParallelBets(10, 30);
+
+    const placed = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(placed).toHaveLength(3);
+    expect(rejected).toHaveLength(7);
+    for (const { reason } of rejected) {
+      expect(reason.code).toBe('INSUFFICIENT_BALANCE');
+    }
+
+    expect(store.stored.wallet.usd).toBe(10);
+    expect(store.stored.totalBets).toBe(90);
+    expect(store.stored.nonce).toBe(3);
+  });
+
+  it('records a transaction, ledger entry and round bet only for debited stakes', async () => {
+    await placeParallelBets(10, 30);
+
+    expect(Transaction.create).toHaveBeenCalledTimes(3);
+    expect(gameService.ledger.post).toHaveBeenCalledTimes(3);
+    expect(gameService.currentRound.bets).toHaveLength(3);
+
+    // Every placed bet used its own nonce
+    const nonces = gameService.currentRound.bets.map(bet => bet.nonce).sort();
+    expect(nonces).toEqual([0, 1, 2]);
+  });
+
+  it('never overdraws a crypto wallet funding the bets', async () => {
+    // 0.001 BTC covers two $20 stakes (0.0004 BTC each)
+    const results = await placeParallelBets(5, 20, 'btc');
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(store.stored.wallet.btc).toBeCloseTo(0.0002, 10);
+    expect(store.stored.wallet.usd).toBe(100);
+  });
+});
+
+describe('a round that starts while a bet is placed', () => {
+  let gameService;
+  let store;
+  let storedStatus;
+  let session;
+
+  beforeEach(async () => {
+    await checkTransactionSupport(fakeConnection({ setName: 'rs0' }));
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+
+    store = createPlayerStore({
+      _id: new mongoose.Types.ObjectId().toString(),
+      playerId: 'player1',
+      username: 'CryptoKing',
+      wallet: { usd: 100, btc: 0, eth: 0 },
+      clientSeed: 'seed',
+      nonce: 0,
+      totalBets: 0
+    });
+    jest.spyOn(Player, 'findOneAndUpdate').mockImplementation(store.update);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (docs) => docs);
+
+    gameService = new GameService();
+    gameService.currentRound = new GameRound({
+      roundId: 'round-1',
+      status: 'waiting',
+      startTime: new Date(),
+      seed: 'a'.repeat(64),
+      hash: 'b'.repeat(64),
+      salt: 'salt'
+    });
+
+    // The stored round only takes the bet while its status matches the filter
+    storedStatus = 'waiting';
+    jest.spyOn(GameRound, 'updateOne').mockImplementation(async (filter) => ({
+      matchedCount: !filter.status || filter.status === storedStatus ? 1 : 0
+    }));
+
+    jest.spyOn(gameService, 'checkPriceHealth').mockResolvedValue();
+    jest.spyOn(gameService, 'assertBettingOpen').mockReturnValue();
+    jest.spyOn(gameService.priceQuotes, 'checkBetQuote').mockResolvedValue(null);
+    jest.spyOn(gameService.ledger, 'post').mockResolvedValue([]);
+    jest.spyOn(gameService, 'getBetConversion').mockResolvedValue({
+      pricePerCrypto: BTC_PRICE,
+      cryptoAmount: 30 / BTC_PRICE
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['in memory and in the database', true],
+    ['in the database only', false]
+  ])('rolls the debit back when the round went active %s', async (label, inMemory) => {
+    // The round is activated while the player is being loaded
+    jest.spyOn(gameService, 'getOrCreatePlayer').mockImplementation(async () => {
+      storedStatus = 'active';
+      if (inMemory) {
+        gameService.currentRound.status = 'active';
+      }
+      return store.load();
+    });
+
+    await expect(gameService.placeBet('player1', 'CryptoKing', 30, 'btc')).rejects.toMatchObject({
+      code: 'ROUND_NOT_ACCEPTING_BETS'
+    });
+
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(gameService.currentRound.bets).toHaveLength(0);
+    expect(gameService.currentRound.totalBets).toBe(0);
+  });
+
+  it('adds the bet while the round is still waiting', async () => {
+    jest.spyOn(gameService, 'getOrCreatePlayer').mockImplementation(store.load);
+
+    await gameService.placeBet('player1', 'CryptoKing', 30, 'btc');
+
+    expect(GameRound.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'waiting' }),
+      expect.anything(),
+      { session: session }
+    );
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(gameService.currentRound.bets).toHaveLength(1);
+  });
+});
+
+describe('transaction support', () => {
+  afterEach(async () => {
+    await checkTransactionSupport(fakeConnection({ setName: 'rs0' }));
+    delete process.env.MONGODB_ALLOW_STANDALONE;
+  });
+
+  it('accepts a replica set', async () => {
+    await expect(checkTransactionSupport(fakeConnection({ setName: 'rs0' }))).resolves.toBe(true);
+  });
+
+  it('accepts a sharded cluster', async () => {
+    await expect(checkTransactionSupport(fakeConnection({ msg: 'isdbgrid' }))).resolves.toBe(true);
+  });
+
+  it('refuses a standalone server by default', async () => {
+    delete process.env.MONGODB_ALLOW_STANDALONE;
+
+    await expect(checkTransactionSupport(fakeConnection({}))).rejects.toThrow(/replica set/);
+  });
+
+  it('runs work without a session only when standalone mode is allowed', async () => {
+    process.env.MONGODB_ALLOW_STANDALONE = 'true';
+
+    await expect(checkTransactionSupport(fakeConnection({}))).resolves.toBe(false);
+    const work = jest.fn().mockResolvedValue('done');
+    await expect(withTransaction(work)).resolves.toBe('done');
+    expect(work).toHaveBeenCalledWith(null);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../utils/db', () => ({
+  withTransaction: (work) => work(null)
+}));
+
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const WithdrawalService = require('../services/WithdrawalService');
+const { createPlayerStore } = require('./helpers/playerStore');
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+describe('daily withdrawal limit', () => {
+  let withdrawals;
+  let store;
+
+  function setUp(player) {
+    store = createPlayerStore({
+      _id: new mongoose.Types.ObjectId().toString(),
+      playerId: 'player1',
+      username: 'CryptoKing',
+      wallet: { usd: 1000, btc: 0, eth: 0 },
+      withdrawalLimitUsd: 100,
+      withdrawalDay: null,
+      withdrawnTodayUsd: 0,
+      ...player
+    });
+    jest.spyOn(Player, 'findOne').mockImplementation(store.findOne);
+    jest.spyOn(Player, 'findOneAndUpdate').mockImplementation(store.update);
+    jest.spyOn(Player, 'updateOne').mockImplementation(store.update);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (docs) => docs.map(doc => new Transaction(doc)));
+
+    withdrawals = new WithdrawalService({ name: 'test', sendPayout: jest.fn() });
+    jest.spyOn(withdrawals.ledger, 'post').mockResolvedValue(null);
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets parallel requests withdraw no more than the limit together', async () => {
+    setUp();
+
+    const results = await Promise.allSettled(Array.from({ length: 5 }, () =>
+      withdrawals.requestWithdrawal('player1', 'usd', 30, 'bank-account')
+    ));
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(3);
+    expect(rejected).toHaveLength(2);
+    for (const { reason } of rejected) {
+      expect(reason.code).toBe('WITHDRAWAL_LIMIT_EXCEEDED');
+      expect(reason.message).toBe('Daily withdrawal limit of $100 exceeded ($90.00 already withdrawn)');
+    }
+
+    expect(store.stored.withdrawnTodayUsd).toBe(90);
+    expect(store.stored.wallet.usd).toBe(910);
+    expect(Transaction.create).toHaveBeenCalledTimes(3);
+  });
+
+  it('starts a new count on a new day', async () => {
+    setUp({ withdrawalDay: '2000-01-01', withdrawnTodayUsd: 100 });
+
+    await withdrawals.requestWithdrawal('player1', 'usd', 60, 'bank-account');
+
+    expect(store.stored.withdrawalDay).toBe(TODAY);
+    expect(store.stored.withdrawnTodayUsd).toBe(60);
+  });
+
+  it('takes a rejected withdrawal off the count of its day', async () => {
+    setUp({ withdrawalDay: TODAY, withdrawnTodayUsd: 60 });
+    const withdrawal = new Transaction({
+      transactionId: 'tx-1',
+      playerId: 'player1',
+      username: 'CryptoKing',
+      transactionType: 'withdrawal',
+      currency: 'usd',
+      usdAmount: 60,
+      cryptoAmount: 0,
+      priceAtTime: 1,
+      transactionHash: 'hash',
+      status: 'pending',
+      timestamp: new Date(),
+      metadata: { amount: 60, destination: 'bank-account' }
+    });
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(withdrawal);
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(withdrawal);
+
+    await withdrawals.rejectWithdrawal('tx-1', 'admin');
+
+    expect(store.stored.withdrawnTodayUsd).toBe(0);
+    expect(store.stored.wallet.usd).toBe(1060);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../utils/db', () => ({
+  withTransaction: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const WithdrawalService = require('../services/WithdrawalService');
+const { withTransaction } = require('../utils/db');
+
+describe('withdrawal payout', () => {
+  let withdrawals;
+  let stored;
+
+  beforeEach(() => {
+    stored = new Transaction({
+      _id: new mongoose.Types.ObjectId(),
+      transactionId: 'withdrawal-1',
+      playerId: 'player1',
+      username: 'CryptoKing',
+      transactionType: 'withdrawal',
+      currency: 'usd',
+      usdAmount: 50,
+      priceAtTime: 1,
+      transactionHash: 'hash',
+      status: 'pending',
+      metadata: { amount: 50, destination: 'bank-account' }
+    });
+
+    // Conditional status updates, applied in one step as in MongoDB
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (filter.status && filter.status !== stored.status) {
+        return null;
+      }
+      for (const [path, value] of Object.entries(update.$set)) {
+        stored.set(path, value);
+      }
+      return stored;
+    });
+    // A failed transaction rolls the status back
+    withTransaction.mockImplementation(async (work) => {
+      const status = stored.status;
+      try {
+        return await work(null);
+      } catch (error) {
+        stored.status = status;
+        throw error;
+      }
+    });
+    jest.spyOn(Transaction, 'find').mockImplementation(async (filter) =>
+      stored.status === filter.status ? [stored] : []
+    );
+
+    withdrawals = new WithdrawalService({
+      name: 'test',
+      sendPayout: jest.fn().mockResolvedValue({ reference: 'payout-123' })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the payout and completes the withdrawal', async () => {
+    jest.spyOn(withdrawals.ledger, 'post').mockResolvedValue('journal');
+
+    const result = await withdrawals.approveWithdrawal('withdrawal-1', 'admin');
+
+    expect(result.payoutReference).toBe('payout-123');
+    expect(stored.status).toBe('completed');
+    expect(withdrawals.ledger.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a paid-out withdrawal as paying when its ledger entry fails, and completes it once later', async () => {
+    jest.spyOn(withdrawals.ledger, 'post')
+      .mockRejectedValueOnce(new Error('write conflict'))
+      .mockResolvedValue('journal');
+
+    const result = await withdrawals.approveWithdrawal('withdrawal-1', 'admin');
+
+    expect(result.success).toBe(true);
+    expect(stored.status).toBe('paying');
+    expect(stored.metadata.payoutReference).toBe('payout-123');
+    expect(withdrawals.payoutAdapter.sendPayout).toHaveBeenCalledTimes(1);
+
+    await expect(withdrawals.completePaidWithdrawals()).resolves.toBe(1);
+    expect(stored.status).toBe('completed');
+
+    // Running it again posts nothing twice
+    await expect(withdrawals.completePaidWithdrawals()).resolves.toBe(0);
+    await expect(withdrawals.completeWithdrawal(stored)).resolves.toBeNull();
+    expect(withdrawals.ledger.post).toHaveBeenCalledTimes(2);
+    expect(withdrawals.payoutAdapter.sendPayout).toHaveBeenCalledTimes(1);
+  });
+});
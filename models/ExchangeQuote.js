@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { WALLET_CURRENCIES, mapWalletCurrencies } = require('../utils/currencies');
+
+// A price locked for one player's exchange between two wallet currencies
+const exchangeQuoteSchema = new mongoose.Schema({
+  quoteId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true
+  },
+  fromCurrency: {
+    type: String,
+    enum: WALLET_CURRENCIES,
+    required: true
+  },
+  toCurrency: {
+    type: String,
+    enum: WALLET_CURRENCIES,
+    required: true
+  },
+  fromAmount: {
+    type: Number,
+    required: true
+  },
+  // Amount credited, after the spread
+  toAmount: {
+    type: Number,
+    required: true
+  },
+  // Units of toCurrency per unit of fromCurrency, after the spread
+  rate: {
+    type: Number,
+    required: true
+  },
+  // USD prices the quote was made from
+  prices: mapWalletCurrencies(() => Number),
+  spread: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'used'],
+    default: 'open'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keep expired quotes for an hour so late requests get a clear answer
+exchangeQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+// Method to get quote data for the client
+exchangeQuoteSchema.methods.getSummary = function() {
+  return {
+    quoteId: this.quoteId,
+    fromCurrency: this.fromCurrency,
+    toCurrency: this.toCurrency,
+    fromAmount: this.fromAmount,
+    toAmount: this.toAmount,
+    rate: this.rate,
+    spread: this.spread,
+    expiresAt: this.expiresAt
+  };
+};
+
+// Static method to generate quote ID
+exchangeQuoteSchema.statics.generateQuoteId = function() {
+  const crypto = require('crypto');
+  return crypto.randomBytes(16).toString('hex');
+};
+
+module.exports = mongoose.model('ExchangeQuote', exchangeQuoteSchema);
\ No newline at end of file
@@ -1,6 +1,44 @@
 const mongoose = require('mongoose');
+const { GameError } = require('../utils/errors');
+const { CRYPTO_SYMBOLS, WALLET_CURRENCIES } = require('../utils/currencies');
+
+// A single (possibly partial) settlement of a bet
+const cashoutSchema = new mongoose.Schema({
+  fraction: {
+    type: Number,
+    required: true
+  },
+  multiplier: {
+    type: Number,
+    required: true
+  },
+  stakeCryptoAmount: {
+    type: Number,
+    required: true
+  },
+  cryptoAmount: {
+    type: Number,
+    required: true
+  },
+  usdAmount: {
+    type: Number,
+    required: true
+  },
+  auto: {
+    type: Boolean,
+    default: false
+  },
+  cashoutTime: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const betSchema = new mongoose.Schema({
+  betId: {
+    type: String,
+    required: true
+  },
   playerId: {
     type: String,
     required: true
@@ -21,17 +59,44 @@ const betSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['btc', 'eth'],
+    enum: CRYPTO_SYMBOLS,
     required: true
   },
   priceAtTime: {
     type: Number,
     required: true
   },
+  // Wallet the stake was taken from: usd, or the bet currency itself
+  fundingSource: {
+    type: String,
+    enum: WALLET_CURRENCIES,
+    default: 'usd'
+  },
+  clientSeed: {
+    type: String,
+    default: null
+  },
+  nonce: {
+    type: Number,
+    default: null
+  },
+  // Multiplier at which the server cashes the bet out automatically
+  autoCashoutAt: {
+    type: Number,
+    default: null,
+    min: 1.01
+  },
+  // Set once the whole stake is cashed out: total payout / stake
   cashoutMultiplier: {
     type: Number,
     default: null
   },
+  // Stake still riding after partial cashouts
+  remainingCryptoAmount: {
+    type: Number,
+    default: null
+  },
+  cashouts: [cashoutSchema],
   cashoutCryptoAmount: {
     type: Number,
     default: null
@@ -54,6 +119,27 @@ const betSchema = new mongoose.Schema({
   }
 });
 
+// Method to get the USD value (at bet time) of the stake still riding
+betSchema.methods.getRemainingStakeUsd = function() {
+  if (this.remainingCryptoAmount === null || this.remainingCryptoAmount === undefined) {
+    return this.usdAmount;
+  }
+  return this.usdAmount * this.remainingCryptoAmount / this.cryptoAmount;
+};
+
+// Method to get the stake still riding in the currency of the wallet that funded it
+betSchema.methods.getRemainingFundedStake = function() {
+  if (this.fundingSource && this.fundingSource !== 'usd') {
+    return this.remainingCryptoAmount === null || this.remainingCryptoAmount === undefined
+      ? this.cryptoAmount
+      : this.remainingCryptoAmount;
+  }
+  return this.getRemainingStakeUsd();
+};
+
+// Statuses after which the crash point and seed are no longer secret
+const REVEALED_STATUSES = ['crashed', 'completed'];
+
 const gameRoundSchema = new mongoose.Schema({
   roundId: {
     type: String,
@@ -74,18 +160,42 @@ const gameRoundSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Derived when betting closes, once the client seed is known
   crashPoint: {
     type: Number,
-    required: true
+    default: null
   },
   seed: {
     type: String,
     required: true
   },
+  // Commitment (sha256 of the seed) published before the round starts
   hash: {
     type: String,
     required: true
   },
+  salt: {
+    type: String,
+    required: true
+  },
+  // Round-level client entropy: the client seed of the first bettor
+  clientSeed: {
+    type: String,
+    default: null
+  },
+  // Position of the seed in the reverse hash chain
+  chainId: {
+    type: String,
+    default: null
+  },
+  chainIndex: {
+    type: Number,
+    default: null
+  },
+  previousHash: {
+    type: String,
+    default: null
+  },
   maxMultiplier: {
     type: Number,
     default: 0
@@ -120,68 +230,152 @@ gameRoundSchema.index({ roundId: 1 });
 gameRoundSchema.index({ status: 1 });
 gameRoundSchema.index({ startTime: -1 });
 gameRoundSchema.index({ 'bets.playerId': 1 });
+gameRoundSchema.index({ 'bets.betId': 1 });
+gameRoundSchema.index({ chainId: 1, chainIndex: -1 });
+
+// Method to add a bet; only a round still waiting accepts one, so a bet
+// whose debit raced the round's activation fails and rolls the debit back
+gameRoundSchema.methods.addBet = async function(betData, options = {}) {
+  if (this.status !== 'waiting') {
+    throw new GameError('ROUND_NOT_ACCEPTING_BETS', 'No active round accepting bets');
+  }
+
+  // Build the sub-document once so the stored and in-memory bet share ids
+  const bet = this.bets.create({
+    betId: this.constructor.generateBetId(),
+    ...betData
+  });
 
-// Method to add a bet
-gameRoundSchema.methods.addBet = async function(betData) {
   // Use updateOne for atomic update
-  await this.constructor.updateOne(
-    { _id: this._id },
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'waiting' },
     {
-      $push: { bets: betData },
-      $inc: { totalBets: betData.usdAmount }
-    }
+      $push: { bets: bet.toObject() },
+      $inc: { totalBets: bet.usdAmount }
+    },
+    { session: options.session || null }
   );
+
+  if (result.matchedCount === 0) {
+    throw new GameError('ROUND_NOT_ACCEPTING_BETS', 'No active round accepting bets');
+  }
   // Also update the in-memory object for immediate use
-  this.bets.push(betData);
-  this.totalBets += betData.usdAmount;
+  this.bets.push(bet);
+  this.totalBets += bet.usdAmount;
+
+  return this.bets[this.bets.length - 1];
 };
 
-// Method to process cashout
-gameRoundSchema.methods.processCashout = async function(playerId, multiplier) {
-  const bet = this.bets.find(b => b.playerId === playerId && !b.cashoutMultiplier);
+// Method to process cashout of all or part of a bet's remaining stake
+gameRoundSchema.methods.processCashout = async function(betId, multiplier, options = {}) {
+  const bet = this.bets.find(b => b.betId === betId && !b.cashoutMultiplier);
   if (!bet) {
-    throw new Error('No active bet found for player');
+    throw new GameError('BET_NOT_FOUND', 'No active bet found');
+  }
+
+  const fraction = options.fraction || 1;
+  if (!(fraction > 0 && fraction <= 1)) {
+    throw new GameError('INVALID_FRACTION', 'Cashout fraction must be between 0 and 1');
   }
 
   // Prepare update
-  const cashoutCryptoAmount = bet.cryptoAmount * multiplier;
-  const cashoutUsdAmount = cashoutCryptoAmount * bet.priceAtTime;
+  const remaining = bet.remainingCryptoAmount === null ? bet.cryptoAmount : bet.remainingCryptoAmount;
+  let stakeCryptoAmount = parseFloat((remaining * fraction).toFixed(8));
+  if (stakeCryptoAmount <= 0) {
+    throw new GameError('CASHOUT_TOO_SMALL', 'Cashout amount is too small');
+  }
+  // Settle any dust left behind as part of this cashout
+  if (remaining - stakeCryptoAmount < 1e-8) {
+    stakeCryptoAmount = remaining;
+  }
+  const remainingCryptoAmount = remaining - stakeCryptoAmount;
+  const isClosed = remainingCryptoAmount === 0;
+
   const now = new Date();
+  const settlement = {
+    fraction: fraction,
+    multiplier: multiplier,
+    stakeCryptoAmount: stakeCryptoAmount,
+    cryptoAmount: stakeCryptoAmount * multiplier,
+    usdAmount: stakeCryptoAmount * multiplier * bet.priceAtTime,
+    auto: !!options.auto,
+    cashoutTime: now
+  };
 
-  await this.constructor.updateOne(
-    { _id: this._id, 'bets.playerId': playerId, 'bets.cashoutMultiplier': null },
+  const cashoutCryptoAmount = (bet.cashoutCryptoAmount || 0) + settlement.cryptoAmount;
+  const cashoutUsdAmount = (bet.cashoutUsdAmount || 0) + settlement.usdAmount;
+  const cashoutMultiplier = isClosed ? cashoutCryptoAmount / bet.cryptoAmount : null;
+  const isFirstCashout = !bet.isWinner;
+
+  // Match the exact bet, still open and with the remaining stake we computed from,
+  // so concurrent cashouts of the same bet cannot both settle
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      bets: {
+        $elemMatch: {
+          betId: betId,
+          cashoutMultiplier: null,
+          remainingCryptoAmount: bet.remainingCryptoAmount
+        }
+      }
+    },
     {
       $set: {
-        'bets.$.cashoutMultiplier': multiplier,
+        'bets.$.cashoutMultiplier': cashoutMultiplier,
+        'bets.$.remainingCryptoAmount': remainingCryptoAmount,
         'bets.$.cashoutCryptoAmount': cashoutCryptoAmount,
         'bets.$.cashoutUsdAmount': cashoutUsdAmount,
         'bets.$.isWinner': true,
         'bets.$.cashoutTime': now
       },
+      $push: {
+        'bets.$.cashouts': settlement
+      },
       $inc: {
-        totalCashouts: cashoutUsdAmount,
-        totalWinners: 1
+        totalCashouts: settlement.usdAmount,
+        totalWinners: isFirstCashout ? 1 : 0
       }
-    }
+    },
+    { session: options.session || null }
   );
 
+  if (result.modifiedCount === 0) {
+    throw new GameError('BET_ALREADY_CASHED_OUT', 'Bet has already been cashed out');
+  }
+
   // Update in-memory for immediate use
-  bet.cashoutMultiplier = multiplier;
+  bet.cashoutMultiplier = cashoutMultiplier;
+  bet.remainingCryptoAmount = remainingCryptoAmount;
   bet.cashoutCryptoAmount = cashoutCryptoAmount;
   bet.cashoutUsdAmount = cashoutUsdAmount;
   bet.isWinner = true;
   bet.cashoutTime = now;
-  this.totalCashouts += cashoutUsdAmount;
-  this.totalWinners += 1;
+  bet.cashouts.push(settlement);
+  this.totalCashouts += settlement.usdAmount;
+  if (isFirstCashout) {
+    this.totalWinners += 1;
+  }
+
+  return settlement;
+};
+
+// Method to drop an in-memory bet whose write was rolled back
+gameRoundSchema.methods.discardBet = function(betId) {
+  const bet = this.bets.find(b => b.betId === betId);
+  if (bet) {
+    this.bets.pull(bet._id);
+    this.totalBets -= bet.usdAmount;
+  }
 };
 
 // Method to finalize round
-gameRoundSchema.methods.finalizeRound = async function() {
+gameRoundSchema.methods.finalizeRound = async function(options = {}) {
   this.status = 'crashed';
   this.endTime = new Date();
-  // Calculate losers
-  const activeBets = this.bets.filter(b => !b.cashoutMultiplier);
-  const totalLosers = activeBets.length;
+  // Calculate losers; a bet that was partially cashed out counts as a winner
+  const losingBets = this.bets.filter(b => !b.isWinner);
+  const totalLosers = losingBets.length;
   // Calculate house profit
   const houseProfit = this.totalBets - this.totalCashouts;
   await this.constructor.updateOne(
@@ -193,18 +387,91 @@ gameRoundSchema.methods.finalizeRound = async function() {
         totalLosers: totalLosers,
         houseProfit: houseProfit
       }
-    }
+    },
+    { session: options.session || null }
   );
   this.totalLosers = totalLosers;
   this.houseProfit = houseProfit;
 };
 
+// Method to check whether the round's secrets may be published
+gameRoundSchema.methods.isRevealed = function() {
+  return REVEALED_STATUSES.includes(this.status);
+};
+
+// Method to serialize the round for clients. The crash point and seed are
+// only included once the round has crashed; everything else is public.
+gameRoundSchema.methods.toPublicJSON = function(options = {}) {
+  const data = {
+    roundId: this.roundId,
+    status: this.status,
+    startTime: this.startTime,
+    endTime: this.endTime,
+    hash: this.hash,
+    previousHash: this.previousHash,
+    salt: this.salt,
+    clientSeed: this.clientSeed,
+    chainId: this.chainId,
+    chainIndex: this.chainIndex,
+    totalBets: this.totalBets,
+    totalCashouts: this.totalCashouts,
+    totalWinners: this.totalWinners,
+    totalLosers: this.totalLosers,
+    houseProfit: this.houseProfit
+  };
+
+  if (this.isRevealed()) {
+    data.crashPoint = this.crashPoint;
+    data.seed = this.seed;
+  }
+
+  if (options.includeBets) {
+    data.bets = this.bets.map(bet => ({
+      betId: bet.betId,
+      playerId: bet.playerId,
+      username: bet.username,
+      usdAmount: bet.usdAmount,
+      cryptoAmount: bet.cryptoAmount,
+      currency: bet.currency,
+      priceAtTime: bet.priceAtTime,
+      fundingSource: bet.fundingSource,
+      clientSeed: bet.clientSeed,
+      nonce: bet.nonce,
+      autoCashoutAt: bet.autoCashoutAt,
+      cashoutMultiplier: bet.cashoutMultiplier,
+      remainingCryptoAmount: bet.remainingCryptoAmount,
+      cashouts: bet.cashouts.map(cashout => ({
+        fraction: cashout.fraction,
+        multiplier: cashout.multiplier,
+        stakeCryptoAmount: cashout.stakeCryptoAmount,
+        cryptoAmount: cashout.cryptoAmount,
+        usdAmount: cashout.usdAmount,
+        auto: cashout.auto,
+        cashoutTime: cashout.cashoutTime
+      })),
+      cashoutCryptoAmount: bet.cashoutCryptoAmount,
+      cashoutUsdAmount: bet.cashoutUsdAmount,
+      isWinner: bet.isWinner,
+      betTime: bet.betTime,
+      cashoutTime: bet.cashoutTime
+    }));
+  }
+
+  return data;
+};
+
+// Static method to generate bet ID
+gameRoundSchema.statics.generateBetId = function() {
+  const crypto = require('crypto');
+  return crypto.randomBytes(12).toString('hex');
+};
+
 // Method to get round statistics
 gameRoundSchema.methods.getStatistics = function() {
   return {
     roundId: this.roundId,
     status: this.status,
-    crashPoint: this.crashPoint,
+    crashPoint: this.isRevealed() ? this.crashPoint : null,
     totalBets: this.totalBets,
     totalCashouts: this.totalCashouts,
     totalWinners: this.totalWinners,
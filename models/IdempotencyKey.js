@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A request made with an idempotency key, kept so retries get the same response
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Operation the key was used for, e.g. bet, cashout or deposit
+  scope: {
+    type: String,
+    required: true
+  },
+  playerId: {
+    type: String,
+    required: true
+  },
+  // Hash of the request payload; a key may not be reused for a different request
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // Random id of the request holding the key, and when a retry may take it over
+  leaseId: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, playerId: 1, key: 1 }, { unique: true });
+// Let MongoDB drop records once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
\ No newline at end of file
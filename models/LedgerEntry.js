@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { WALLET_CURRENCIES } = require('../utils/currencies');
+
+// One leg of a balanced journal; the legs of a journal sum to zero per currency
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  entryType: {
+    type: String,
+    enum: ['opening', 'deposit', 'withdrawal', 'bet', 'cashout', 'settlement', 'refund', 'exchange'],
+    required: true
+  },
+  // e.g. player:<playerId>:usd, house:btc, pending:usd, external:eth
+  account: {
+    type: String,
+    required: true
+  },
+  accountType: {
+    type: String,
+    enum: ['player', 'house', 'pending', 'external'],
+    required: true
+  },
+  playerId: {
+    type: String,
+    default: null
+  },
+  currency: {
+    type: String,
+    enum: WALLET_CURRENCIES,
+    required: true
+  },
+  // Positive amounts add to the account, negative amounts take from it
+  amount: {
+    type: Number,
+    required: true
+  },
+  transactionId: {
+    type: String,
+    default: null
+  },
+  roundId: {
+    type: String,
+    default: null
+  },
+  betId: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+ledgerEntrySchema.index({ account: 1, timestamp: -1 });
+ledgerEntrySchema.index({ accountType: 1, playerId: 1, currency: 1 });
+ledgerEntrySchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
\ No newline at end of file
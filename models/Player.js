@@ -1,4 +1,15 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
 const mongoose = require('mongoose');
+const CryptoUtils = require('../utils/crypto');
+const { GameError } = require('../utils/errors');
+const { CRYPTO_SYMBOLS, WALLET_CURRENCIES, mapWalletCurrencies } = require('../utils/currencies');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; they are stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
 
 const playerSchema = new mongoose.Schema({
   playerId: {
@@ -12,22 +23,50 @@ const playerSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  wallet: {
-    btc: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    eth: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    usd: {
-      type: Number,
-      default: 1000, // Starting balance
-      min: 0
-    }
+  // Salted scrypt hash, `scrypt$N$r$p$salt$hash`; only loaded when asked for
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Failed sign-ins since the last successful one or the last lockout
+  failedLogins: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // One balance per currency in the registry
+  wallet: mapWalletCurrencies(currency => ({
+    type: Number,
+    default: currency === 'usd' ? 1000 : 0, // Starting balance
+    min: 0
+  })),
+  clientSeed: {
+    type: String,
+    default: () => CryptoUtils.generateClientSeed()
+  },
+  // Number of bets placed with the current client seed
+  nonce: {
+    type: Number,
+    default: 0
+  },
+  // Overrides the default daily withdrawal limit (USD) for this player
+  withdrawalLimitUsd: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // USD counted against the daily withdrawal limit on withdrawalDay (UTC, YYYY-MM-DD)
+  withdrawalDay: {
+    type: String,
+    default: null
+  },
+  withdrawnTodayUsd: {
+    type: Number,
+    default: 0
   },
   totalBets: {
     type: Number,
@@ -58,31 +97,118 @@ playerSchema.index({ playerId: 1 });
 playerSchema.index({ username: 1 });
 playerSchema.index({ 'wallet.usd': 1 });
 
-// Method to update wallet balance
-playerSchema.methods.updateWallet = function(currency, amount) {
-  if (currency === 'usd') {
-    this.wallet.usd += amount;
-  } else if (currency === 'btc') {
-    this.wallet.btc += amount;
-  } else if (currency === 'eth') {
-    this.wallet.eth += amount;
+// Method to atomically add to a wallet balance (a negative amount debits it).
+// Debits only apply while the balance covers them, so concurrent bets cannot
+// overdraw; `options.inc` adds other counters (e.g. totalBets) in the same update.
+playerSchema.methods.updateWallet = async function(currency, amount, options = {}) {
+  const { session = null, inc = {} } = options;
+
+  if (!WALLET_CURRENCIES.includes(currency)) {
+    throw new GameError('INVALID_CURRENCY', 'Invalid currency');
+  }
+
+  if (this.isNew) {
+    await this.save();
+  }
+
+  const walletPath = `wallet.${currency}`;
+  const filter = { _id: this._id };
+  if (amount < 0) {
+    filter[walletPath] = { $gte: -amount };
   }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    filter,
+    {
+      $inc: { [walletPath]: amount, ...inc },
+      $set: { lastActive: new Date() }
+    },
+    { new: true, session: session }
+  );
+
+  if (!updated) {
+    throw new GameError('INSUFFICIENT_BALANCE', `Insufficient ${currency.toUpperCase()} balance`);
+  }
+
+  // Mirror the stored values without marking them for a later save()
+  const paths = [...WALLET_CURRENCIES.map(symbol => `wallet.${symbol}`), 'lastActive', ...Object.keys(inc)];
+  for (const path of paths) {
+    this.set(path, updated.get(path));
+    this.unmarkModified(path);
+  }
+
+  return this;
+};
+
+// Method to get a plain copy of the wallet balances
+playerSchema.methods.getWalletSnapshot = function() {
+  return mapWalletCurrencies(currency => this.wallet[currency] || 0);
+};
+
+// Method to get the balances before and after an amount was applied by updateWallet
+playerSchema.methods.getBalanceChange = function(currency, amount) {
+  const balanceAfter = this.getWalletSnapshot();
+  return {
+    balanceBefore: { ...balanceAfter, [currency]: balanceAfter[currency] - amount },
+    balanceAfter: balanceAfter
+  };
+};
+
+// Method to change the client seed; the nonce restarts with every new seed
+playerSchema.methods.setClientSeed = function(clientSeed) {
+  this.clientSeed = clientSeed;
+  this.nonce = 0;
   this.lastActive = new Date();
   return this.save();
 };
 
-// Method to get USD equivalent of crypto balance
+// Method to set the password hash (the caller saves the player)
+playerSchema.methods.setPassword = async function(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  this.passwordHash = ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+// Method to check a password; needs the player loaded with `+passwordHash`
+playerSchema.methods.verifyPassword = async function(password) {
+  if (!this.passwordHash) {
+    return false;
+  }
+
+  const [scheme, N, r, p, salt, expected] = this.passwordHash.split('$');
+  if (scheme !== 'scrypt') {
+    return false;
+  }
+
+  const expectedHash = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+  return crypto.timingSafeEqual(hash, expectedHash);
+};
+
+// Method to check whether sign-in is locked after repeated failures
+playerSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+// Method to get USD equivalent of crypto balance, e.g. { usd, btc, btcUsd, ..., totalUsd }
 playerSchema.methods.getUsdEquivalent = function(cryptoPrices) {
-  const btcUsd = cryptoPrices.btc || 0;
-  const ethUsd = cryptoPrices.eth || 0;
-  
+  const balances = this.getWalletSnapshot();
+  let totalUsd = balances.usd;
+
+  for (const currency of CRYPTO_SYMBOLS) {
+    const usdValue = balances[currency] * (cryptoPrices[currency] || 0);
+    balances[`${currency}Usd`] = usdValue;
+    totalUsd += usdValue;
+  }
+
   return {
-    btc: this.wallet.btc,
-    eth: this.wallet.eth,
-    usd: this.wallet.usd,
-    btcUsd: this.wallet.btc * btcUsd,
-    ethUsd: this.wallet.eth * ethUsd,
-    totalUsd: this.wallet.usd + (this.wallet.btc * btcUsd) + (this.wallet.eth * ethUsd)
+    ...balances,
+    totalUsd: totalUsd
   };
 };
 
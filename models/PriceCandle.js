@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { CRYPTO_SYMBOLS } = require('../utils/currencies');
+
+// Candle lengths, in milliseconds
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Open, high, low and close of the price samples in one interval
+const priceCandleSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    enum: CRYPTO_SYMBOLS,
+    required: true
+  },
+  interval: {
+    type: String,
+    enum: Object.keys(INTERVALS),
+    required: true
+  },
+  openTime: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  // Time of the sample that set the close
+  closeTime: {
+    type: Date,
+    required: true
+  },
+  samples: {
+    type: Number,
+    default: 0
+  }
+});
+
+priceCandleSchema.index({ currency: 1, interval: 1, openTime: 1 }, { unique: true });
+
+// Method to get candle data for the client
+priceCandleSchema.methods.getSummary = function() {
+  return {
+    openTime: this.openTime,
+    open: this.open,
+    high: this.high,
+    low: this.low,
+    close: this.close,
+    samples: this.samples
+  };
+};
+
+// Static method to get the start of the interval a time falls in
+priceCandleSchema.statics.getOpenTime = function(interval, timestamp) {
+  const length = INTERVALS[interval];
+  return new Date(Math.floor(new Date(timestamp).getTime() / length) * length);
+};
+
+priceCandleSchema.statics.INTERVALS = INTERVALS;
+
+module.exports = mongoose.model('PriceCandle', priceCandleSchema);
\ No newline at end of file
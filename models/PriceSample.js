@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { CRYPTO_SYMBOLS } = require('../utils/currencies');
+
+// How long raw samples are kept; candles are kept for good
+const RETENTION_DAYS = parseInt(process.env.PRICE_SAMPLE_RETENTION_DAYS) || 30;
+
+// One price the game fetched from a provider
+const priceSampleSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    enum: CRYPTO_SYMBOLS,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  // Provider the price came from
+  source: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceSampleSchema.index({ currency: 1, timestamp: 1 });
+priceSampleSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PriceSample', priceSampleSchema);
\ No newline at end of file
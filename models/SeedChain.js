@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const seedChainSchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Secret seed at the end of the chain, never exposed through the API
+  terminalSeed: {
+    type: String,
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Commitment of the first round (sha256 of the first seed), published up front
+  headHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'exhausted'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+seedChainSchema.index({ status: 1, createdAt: -1 });
+
+// Method to get the public summary of the chain
+seedChainSchema.methods.getSummary = function() {
+  return {
+    chainId: this.chainId,
+    length: this.length,
+    headHash: this.headHash,
+    status: this.status,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('SeedChain', seedChainSchema);
\ No newline at end of file
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A session token issued to a player, kept so it can be revoked before it expires
+const sessionSchema = new mongoose.Schema({
+  // The token's jti claim
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop sessions once their tokens have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
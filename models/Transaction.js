@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { WALLET_CURRENCIES, mapWalletCurrencies } = require('../utils/currencies');
 
 const transactionSchema = new mongoose.Schema({
   transactionId: {
@@ -18,7 +19,7 @@ const transactionSchema = new mongoose.Schema({
   },
   transactionType: {
     type: String,
-    enum: ['bet', 'cashout', 'deposit', 'withdrawal'],
+    enum: ['bet', 'cashout', 'deposit', 'withdrawal', 'exchange'],
     required: true
   },
   roundId: {
@@ -28,7 +29,7 @@ const transactionSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['btc', 'eth', 'usd'],
+    enum: WALLET_CURRENCIES,
     required: true
   },
   usdAmount: {
@@ -53,19 +54,11 @@ const transactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'approved', 'paying', 'completed', 'failed'],
     default: 'completed'
   },
-  balanceBefore: {
-    usd: Number,
-    btc: Number,
-    eth: Number
-  },
-  balanceAfter: {
-    usd: Number,
-    btc: Number,
-    eth: Number
-  },
+  balanceBefore: mapWalletCurrencies(() => Number),
+  balanceAfter: mapWalletCurrencies(() => Number),
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
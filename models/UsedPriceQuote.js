@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A price quote that has been submitted with a bet; each quote is good for one bet
+const usedPriceQuoteSchema = new mongoose.Schema({
+  quoteId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  playerId: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Once the quote has expired it cannot be replayed anyway
+usedPriceQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedPriceQuote', usedPriceQuoteSchema);
\ No newline at end of file
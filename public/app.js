@@ -5,9 +5,11 @@ let gameState = {
     status: 'waiting',
     currentRound: null,
     multiplier: 1.0,
-    hasActiveBet: false
+    hasActiveBet: false,
+    activeBetIds: []
 };
 let cryptoPrices = { btc: 0, eth: 0 };
+let pendingBet = null; // Bet waiting for its price quote
 let chartData = [];
 let chart = null;
 
@@ -25,8 +27,11 @@ const elements = {
     // Form elements
     betAmount: document.getElementById('betAmount'),
     betCurrency: document.getElementById('betCurrency'),
+    betFundingSource: document.getElementById('betFundingSource'),
+    autoCashoutAt: document.getElementById('autoCashoutAt'),
     placeBetBtn: document.getElementById('placeBetBtn'),
     cashoutBtn: document.getElementById('cashoutBtn'),
+    cashoutHalfBtn: document.getElementById('cashoutHalfBtn'),
     currentMultiplier: document.getElementById('currentMultiplier'),
     potentialWin: document.getElementById('potentialWin'),
     
@@ -49,7 +54,10 @@ const elements = {
     authModal: document.getElementById('authModal'),
     username: document.getElementById('username'),
     playerId: document.getElementById('playerId'),
+    password: document.getElementById('password'),
+    clientSeed: document.getElementById('clientSeed'),
     joinGameBtn: document.getElementById('joinGameBtn'),
+    registerBtn: document.getElementById('registerBtn'),
     
     // Toast elements
     toast: document.getElementById('toast'),
@@ -62,16 +70,35 @@ function init() {
     setupEventListeners();
     showAuthModal();
     initializeChart();
+    loadSupportedCurrencies();
+}
+
+// Fill the bet currency list from the server's currency registry
+async function loadSupportedCurrencies() {
+    try {
+        const response = await fetch('/api/crypto/supported');
+        const data = await response.json();
+        
+        if (data.supported && data.supported.length > 0) {
+            elements.betCurrency.innerHTML = data.supported
+                .map(currency => `<option value="${currency.symbol}">${currency.name} (${currency.symbol.toUpperCase()})</option>`)
+                .join('');
+        }
+    } catch (error) {
+        console.error('Error loading supported currencies:', error);
+    }
 }
 
 // Setup event listeners
 function setupEventListeners() {
     // Betting
     elements.placeBetBtn.addEventListener('click', placeBet);
-    elements.cashoutBtn.addEventListener('click', cashout);
+    elements.cashoutBtn.addEventListener('click', () => cashout(1));
+    elements.cashoutHalfBtn.addEventListener('click', () => cashout(0.5));
     
     // Authentication
-    elements.joinGameBtn.addEventListener('click', joinGame);
+    elements.joinGameBtn.addEventListener('click', () => joinGame(false));
+    elements.registerBtn.addEventListener('click', () => joinGame(true));
     
     // Toast
     elements.toastClose.addEventListener('click', hideToast);
@@ -92,39 +119,87 @@ function hideAuthModal() {
     elements.authModal.style.display = 'none';
 }
 
-// Join game
-function joinGame() {
+// Join game, signing in or creating a new account
+async function joinGame(register) {
     const username = elements.username.value.trim();
     const playerId = elements.playerId.value.trim();
+    const password = elements.password.value;
     
-    if (!username || !playerId) {
-        showToast('Please enter both username and player ID', 'error');
+    if (!playerId || !password) {
+        showToast('Please enter your player ID and password', 'error');
         return;
     }
+    if (register && !username) {
+        showToast('Please choose a username for your new account', 'error');
+        return;
+    }
+    
+    let session;
+    try {
+        session = register
+            ? await authRequest('/api/auth/register', { playerId, username, password })
+            : await authRequest('/api/auth/login', { playerId, password });
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    elements.password.value = '';
+    
+    playerData = { username: session.player.username, playerId, token: session.token };
     
-    playerData = { username, playerId };
-    elements.playerName.textContent = username;
+    const clientSeed = elements.clientSeed.value.trim();
+    if (clientSeed) {
+        playerData.clientSeed = clientSeed;
+    }
+    elements.playerName.textContent = playerData.username;
     
     // Connect to WebSocket
     connectWebSocket();
     hideAuthModal();
     
-    showToast(`Welcome, ${username}!`, 'success');
+    showToast(`Welcome, ${playerData.username}!`, 'success');
+}
+
+// Register or sign in and return the new session
+async function authRequest(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to sign in');
+    }
+    return data;
+}
+
+// Headers for REST calls made as the signed-in player
+function authHeaders() {
+    return { Authorization: `Bearer ${playerData.token}` };
 }
 
 // Connect to WebSocket
 function connectWebSocket() {
-    socket = io();
+    socket = io({ auth: { token: playerData.token } });
+    
+    socket.on('connect_error', (error) => {
+        console.error('Connection refused:', error.message);
+        showToast(`Connection refused: ${error.message}`, 'error');
+    });
     
     socket.on('connect', () => {
         console.log('Connected to server');
         
-        // Authenticate with server
-        socket.emit('authenticate', playerData);
+        // Authenticate with server; the player comes from the session token
+        socket.emit('authenticate', { clientSeed: playerData.clientSeed });
     });
     
     socket.on('authenticated', (data) => {
         console.log('Authenticated:', data);
+        // Only send the client seed once so reconnects don't reset the nonce
+        delete playerData.clientSeed;
         updateConnectedPlayers(data.connectedPlayers);
         loadPlayerBalance();
     });
@@ -160,6 +235,16 @@ function connectWebSocket() {
         handleBetPlaced(data);
     });
     
+    socket.on('betQueued', (data) => {
+        console.log('Bet queued:', data);
+        handleBetQueued(data);
+    });
+    
+    socket.on('queuedBetCancelled', (data) => {
+        console.log('Queued bet cancelled:', data);
+        handleQueuedBetCancelled(data);
+    });
+    
     socket.on('cashoutProcessed', (data) => {
         console.log('Cashout processed:', data);
         handleCashoutProcessed(data);
@@ -177,6 +262,23 @@ function connectWebSocket() {
         addActivity(`Player ${data.username} left the game`);
     });
     
+    socket.on('priceQuote', (quote) => {
+        console.log('Price quote:', quote);
+        handlePriceQuote(quote);
+    });
+    
+    socket.on('bettingSuspended', (data) => {
+        console.log('Betting suspended:', data);
+        showToast(`Betting in ${data.currency.toUpperCase()} suspended: ${data.message}`, 'warning');
+        addActivity(`Betting in ${data.currency.toUpperCase()} suspended`);
+    });
+    
+    socket.on('bettingResumed', (data) => {
+        console.log('Betting resumed:', data);
+        showToast(`Betting in ${data.currency.toUpperCase()} resumed`, 'info');
+        addActivity(`Betting in ${data.currency.toUpperCase()} resumed`);
+    });
+    
     socket.on('cryptoPrices', (prices) => {
         console.log('Crypto prices:', prices);
         updateCryptoPrices(prices);
@@ -187,9 +289,20 @@ function connectWebSocket() {
         showToast(data.message, 'error');
     });
     
-    socket.on('disconnect', () => {
+    socket.on('sessionRevoked', (data) => {
+        console.log('Session revoked:', data);
+        playerData = null;
+        socket.io.reconnection(false);
+        showToast(data.message, 'warning');
+        showAuthModal();
+    });
+    
+    socket.on('disconnect', (reason) => {
         console.log('Disconnected from server');
-        showToast('Connection lost. Reconnecting...', 'warning');
+        // The server only ends the connection itself when the session is revoked
+        if (reason !== 'io server disconnect') {
+            showToast('Connection lost. Reconnecting...', 'warning');
+        }
     });
 }
 
@@ -202,30 +315,44 @@ function placeBet() {
     
     const amount = parseFloat(elements.betAmount.value);
     const currency = elements.betCurrency.value;
+    const fundingSource = elements.betFundingSource.value === 'crypto' ? currency : 'usd';
+    const autoCashoutAt = elements.autoCashoutAt.value ? parseFloat(elements.autoCashoutAt.value) : null;
     
     if (!amount || amount <= 0) {
         showToast('Please enter a valid bet amount', 'error');
         return;
     }
     
-    if (gameState.status !== 'waiting') {
-        showToast('No active round accepting bets', 'error');
+    if (autoCashoutAt !== null && !(autoCashoutAt >= 1.01)) {
+        showToast('Auto cash out must be at least 1.01x', 'error');
         return;
     }
     
     elements.placeBetBtn.disabled = true;
     elements.placeBetBtn.textContent = 'Placing Bet...';
     
-    socket.emit('placeBet', {
+    // Lock the price first; the bet is sent once the quote arrives
+    pendingBet = {
         usdAmount: amount,
         currency: currency,
-        playerId: playerData.playerId,
-        username: playerData.username
-    });
+        fundingSource: fundingSource,
+        autoCashoutAt: autoCashoutAt
+    };
+    socket.emit('requestPriceQuote', { currency: currency });
 }
 
-// Cashout
-function cashout() {
+// Send the pending bet with its price quote
+function handlePriceQuote(quote) {
+    if (!pendingBet || pendingBet.currency !== quote.currency) {
+        return;
+    }
+    
+    socket.emit('placeBet', { ...pendingBet, priceQuote: quote.quote });
+    pendingBet = null;
+}
+
+// Cashout all or part of the remaining stake
+function cashout(fraction) {
     if (!playerData) {
         showToast('Please join the game first', 'error');
         return;
@@ -237,11 +364,15 @@ function cashout() {
     }
     
     elements.cashoutBtn.disabled = true;
+    elements.cashoutHalfBtn.disabled = true;
     elements.cashoutBtn.textContent = 'Cashing Out...';
     
-    socket.emit('cashout', {
-        playerId: playerData.playerId,
-        username: playerData.username
+    // Cash out each of this round's open bets
+    gameState.activeBetIds.forEach(betId => {
+        socket.emit('cashout', {
+            betId: betId,
+            fraction: fraction
+        });
     });
 }
 
@@ -250,6 +381,7 @@ function handleRoundStart(data) {
     gameState.status = 'waiting';
     gameState.currentRound = data;
     gameState.hasActiveBet = false;
+    gameState.activeBetIds = [];
     
     updateGameStatus('Waiting for bets...');
     showBettingInterface();
@@ -280,6 +412,7 @@ function handleRoundActivated(data) {
 function handleRoundCrashed(data) {
     gameState.status = 'crashed';
     gameState.hasActiveBet = false;
+    gameState.activeBetIds = [];
     
     updateGameStatus(`Crashed at ${data.crashPoint.toFixed(2)}x`);
     hideCashoutInterface();
@@ -304,29 +437,68 @@ function handleRoundCrashed(data) {
 // Handle bet placed
 function handleBetPlaced(data) {
     if (data.playerId === playerData.playerId) {
+        gameState.activeBetIds.push(data.betId);
         gameState.hasActiveBet = true;
         elements.placeBetBtn.disabled = false;
         elements.placeBetBtn.textContent = 'Place Bet';
         
         showToast(`Bet placed: $${data.usdAmount} in ${data.currency.toUpperCase()}`, 'success');
-        updatePlayerBalance(data.playerBalance);
+        // Bets queued from the previous round are placed without a balance
+        if (data.playerBalance) {
+            updatePlayerBalance(data.playerBalance);
+        }
     }
     
     addActivity(`${data.username} bet $${data.usdAmount} in ${data.currency.toUpperCase()}`);
 }
 
+// Handle bet queued for the next round
+function handleBetQueued(data) {
+    if (data.playerId === playerData.playerId || data.success) {
+        elements.placeBetBtn.disabled = false;
+        elements.placeBetBtn.textContent = 'Place Bet';
+        
+        if (data.playerBalance) {
+            showToast(`Bet queued for next round: $${data.usdAmount} in ${data.currency.toUpperCase()}`, 'success');
+            updatePlayerBalance(data.playerBalance);
+        }
+        return;
+    }
+    
+    addActivity(`${data.username} queued $${data.usdAmount} in ${data.currency.toUpperCase()} for next round`);
+}
+
+// Handle queued bet cancelled
+function handleQueuedBetCancelled(data) {
+    showToast(data.reason ? `Queued bet refunded: ${data.reason}` : 'Queued bet cancelled', 'info');
+    if (data.playerBalance) {
+        updatePlayerBalance(data.playerBalance);
+    } else {
+        loadPlayerBalance();
+    }
+}
+
 // Handle cashout processed
 function handleCashoutProcessed(data) {
     if (data.playerId === playerData.playerId) {
-        gameState.hasActiveBet = false;
+        // A partial cashout leaves the rest of the stake riding
+        if (!(data.remainingCryptoAmount > 0)) {
+            gameState.activeBetIds = gameState.activeBetIds.filter(betId => betId !== data.betId);
+        }
+        gameState.hasActiveBet = gameState.activeBetIds.length > 0;
         elements.cashoutBtn.disabled = false;
+        elements.cashoutHalfBtn.disabled = false;
         elements.cashoutBtn.textContent = 'Cash Out';
         
-        showToast(`Cashed out at ${data.multiplier.toFixed(2)}x for $${data.payoutUsd.toFixed(2)}!`, 'success');
-        updatePlayerBalance(data.playerBalance);
+        showToast(`${data.auto ? 'Auto cashed out' : 'Cashed out'} at ${data.multiplier.toFixed(2)}x for $${data.payoutUsd.toFixed(2)}!`, 'success');
+        if (data.playerBalance) {
+            updatePlayerBalance(data.playerBalance);
+        } else {
+            loadPlayerBalance();
+        }
     }
     
-    addActivity(`${data.username} cashed out at ${data.multiplier.toFixed(2)}x for $${data.payoutUsd.toFixed(2)}`);
+    addActivity(`${data.username} ${data.auto ? 'auto cashed out' : 'cashed out'} at ${data.multiplier.toFixed(2)}x for $${data.payoutUsd.toFixed(2)}`);
 }
 
 // Update game state
@@ -391,7 +563,7 @@ function updatePlayerBalance(balance) {
 // Load player balance
 async function loadPlayerBalance() {
     try {
-        const response = await fetch(`/api/wallet/balance/${playerData.playerId}`);
+        const response = await fetch(`/api/wallet/balance/${playerData.playerId}`, { headers: authHeaders() });
         const data = await response.json();
         
         if (data.wallet) {
@@ -0,0 +1,123 @@
+const express = require('express');
+const Joi = require('joi');
+const AuthService = require('../services/AuthService');
+const { toErrorResponse } = require('../utils/errors');
+const { requireSession } = require('../utils/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const auth = new AuthService();
+
+// Validation schemas
+const passwordSchema = Joi.string().min(8).max(128);
+
+const registerSchema = Joi.object({
+  playerId: Joi.string().required(),
+  username: Joi.string().required(),
+  password: passwordSchema.required()
+});
+
+const loginSchema = Joi.object({
+  playerId: Joi.string().required(),
+  password: Joi.string().max(128).required()
+});
+
+const logoutSchema = Joi.object({
+  all: Joi.boolean().default(false)
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().max(128).required(),
+  newPassword: passwordSchema.invalid(Joi.ref('currentPassword')).required()
+    .messages({ 'any.invalid': '"newPassword" must differ from "currentPassword"' })
+});
+
+/**
+ * POST /api/auth/register
+ * Create a player with a password and get a session token
+ */
+router.post('/register', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = registerSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await auth.register(value.playerId, value.username, value.password);
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Error registering player:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to register player');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with a player id and password and get a session token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await auth.login(value.playerId, value.password);
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error signing in:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to sign in');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session, or every session of the player with `all: true`
+ */
+router.post('/logout', requireSession, async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = logoutSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await auth.logout(req.player, value.all);
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error signing out:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to sign out');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change the password; every session is revoked and a new token is returned
+ */
+router.post('/change-password', requireSession, async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await auth.changePassword(req.player.playerId, value.currentPassword, value.newPassword);
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error changing password:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to change password');
+    res.status(status).json(body);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
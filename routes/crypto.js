@@ -1,203 +1,235 @@
 const express = require('express');
+const Joi = require('joi');
 const CryptoApiService = require('../services/CryptoApiService');
+const PriceHistoryService = require('../services/PriceHistoryService');
+const { toErrorResponse } = require('../utils/errors');
+const { CRYPTO_CURRENCIES, isCryptoCurrency } = require('../utils/currencies');
 const logger = require('../utils/logger');
 
-const router = express.Router();
-
-/**
- * GET /api/crypto/prices
- * Get current cryptocurrency prices
- */
-router.get('/prices', async (req, res) => {
-  try {
-    const cryptoApi = new CryptoApiService();
-    const prices = await cryptoApi.getAllPrices();
-
-    res.json({
-      success: true,
-      prices: prices,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error('Error getting crypto prices:', error);
-    res.status(500).json({ error: 'Failed to get crypto prices' });
-  }
+const historySchema = Joi.object({
+  interval: Joi.string().valid('1m', '1h', '1d').default('1h'),
+  from: Joi.date(),
+  to: Joi.date(),
+  // Range to use when from is not given; defaults to 7 days, or 1000
+  // candles when the interval is shorter
+  days: Joi.number().positive().max(365)
 });
 
 /**
- * GET /api/crypto/price/:currency
- * Get price for a specific cryptocurrency
+ * Build the crypto routes; the status route reports the running game's price health
+ * @param {GameService} gameService - The service that owns the price health monitor
+ * @returns {express.Router}
  */
-router.get('/price/:currency', async (req, res) => {
-  try {
-    const { currency } = req.params;
-    const cryptoApi = new CryptoApiService();
-
-    if (!cryptoApi.isSupportedCurrency(currency)) {
-      return res.status(400).json({ error: 'Unsupported currency' });
+function createCryptoRouter(gameService) {
+  const router = express.Router();
+
+  /**
+   * GET /api/crypto/prices
+   * Get current cryptocurrency prices
+   */
+  router.get('/prices', async (req, res) => {
+    try {
+      const cryptoApi = CryptoApiService.getInstance();
+      const prices = await cryptoApi.getAllPrices();
+
+      res.json({
+        success: true,
+        prices: prices,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting crypto prices:', error);
+      res.status(500).json({ error: 'Failed to get crypto prices' });
     }
-
-    const price = await cryptoApi.getPrice(currency);
-
-    res.json({
-      success: true,
-      currency: currency.toLowerCase(),
-      price: price,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error(`Error getting ${req.params.currency} price:`, error);
-    res.status(500).json({ error: 'Failed to get crypto price' });
-  }
-});
-
-/**
- * GET /api/crypto/convert
- * Convert between USD and cryptocurrency
- */
-router.get('/convert', async (req, res) => {
-  try {
-    const { amount, fromCurrency, toCurrency } = req.query;
-
-    if (!amount || !fromCurrency || !toCurrency) {
-      return res.status(400).json({ error: 'Amount, fromCurrency, and toCurrency are required' });
+  });
+
+  /**
+   * GET /api/crypto/price/:currency
+   * Get price for a specific cryptocurrency
+   */
+  router.get('/price/:currency', async (req, res) => {
+    try {
+      const { currency } = req.params;
+      const cryptoApi = CryptoApiService.getInstance();
+
+      if (!cryptoApi.isSupportedCurrency(currency)) {
+        return res.status(400).json({ error: 'Unsupported currency' });
+      }
+
+      const price = await cryptoApi.getPrice(currency);
+
+      res.json({
+        success: true,
+        currency: currency.toLowerCase(),
+        price: price,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error getting ${req.params.currency} price:`, error);
+      res.status(500).json({ error: 'Failed to get crypto price' });
     }
-
-    const cryptoApi = new CryptoApiService();
-    const { usdToCrypto, cryptoToUsd } = require('../utils/crypto');
-
-    let result;
-    if (fromCurrency.toLowerCase() === 'usd' && ['btc', 'eth'].includes(toCurrency.toLowerCase())) {
-      const price = await cryptoApi.getPrice(toCurrency);
-      const cryptoAmount = usdToCrypto(parseFloat(amount), toCurrency, price);
-      result = {
-        fromAmount: parseFloat(amount),
-        fromCurrency: 'usd',
-        toAmount: cryptoAmount,
-        toCurrency: toCurrency.toLowerCase(),
-        rate: price
-      };
-    } else if (['btc', 'eth'].includes(fromCurrency.toLowerCase()) && toCurrency.toLowerCase() === 'usd') {
-      const price = await cryptoApi.getPrice(fromCurrency);
-      const usdAmount = cryptoToUsd(parseFloat(amount), fromCurrency, price);
-      result = {
-        fromAmount: parseFloat(amount),
-        fromCurrency: fromCurrency.toLowerCase(),
-        toAmount: usdAmount,
-        toCurrency: 'usd',
-        rate: price
-      };
-    } else {
-      return res.status(400).json({ error: 'Invalid conversion pair' });
+  });
+
+  /**
+   * GET /api/crypto/convert
+   * Convert between USD and cryptocurrency
+   */
+  router.get('/convert', async (req, res) => {
+    try {
+      const { amount, fromCurrency, toCurrency } = req.query;
+
+      if (!amount || !fromCurrency || !toCurrency) {
+        return res.status(400).json({ error: 'Amount, fromCurrency, and toCurrency are required' });
+      }
+
+      const cryptoApi = CryptoApiService.getInstance();
+      const { usdToCrypto, cryptoToUsd } = require('../utils/crypto');
+
+      let result;
+      if (fromCurrency.toLowerCase() === 'usd' && isCryptoCurrency(toCurrency)) {
+        const price = await cryptoApi.getPrice(toCurrency);
+        const cryptoAmount = usdToCrypto(parseFloat(amount), toCurrency, price);
+        result = {
+          fromAmount: parseFloat(amount),
+          fromCurrency: 'usd',
+          toAmount: cryptoAmount,
+          toCurrency: toCurrency.toLowerCase(),
+          rate: price
+        };
+      } else if (isCryptoCurrency(fromCurrency) && toCurrency.toLowerCase() === 'usd') {
+        const price = await cryptoApi.getPrice(fromCurrency);
+        const usdAmount = cryptoToUsd(parseFloat(amount), fromCurrency, price);
+        result = {
+          fromAmount: parseFloat(amount),
+          fromCurrency: fromCurrency.toLowerCase(),
+          toAmount: usdAmount,
+          toCurrency: 'usd',
+          rate: price
+        };
+      } else {
+        return res.status(400).json({ error: 'Invalid conversion pair' });
+      }
+
+      res.json({
+        success: true,
+        conversion: result,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error converting currency:', error);
+      res.status(500).json({ error: 'Failed to convert currency' });
     }
-
-    res.json({
-      success: true,
-      conversion: result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error('Error converting currency:', error);
-    res.status(500).json({ error: 'Failed to convert currency' });
-  }
-});
-
-/**
- * GET /api/crypto/history/:currency
- * Get price history for a cryptocurrency
- */
-router.get('/history/:currency', async (req, res) => {
-  try {
-    const { currency } = req.params;
-    const days = parseInt(req.query.days) || 7;
-    const cryptoApi = new CryptoApiService();
-
-    if (!cryptoApi.isSupportedCurrency(currency)) {
-      return res.status(400).json({ error: 'Unsupported currency' });
+  });
+
+  /**
+   * GET /api/crypto/history/:currency
+   * Get OHLC candles from the locally recorded prices
+   */
+  router.get('/history/:currency', async (req, res) => {
+    try {
+      const { currency } = req.params;
+
+      if (!isCryptoCurrency(currency)) {
+        return res.status(400).json({ error: 'Unsupported currency' });
+      }
+
+      const { error, value } = historySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+      }
+
+      const priceHistory = new PriceHistoryService();
+      const to = value.to || new Date();
+      let from = value.from;
+      if (!from) {
+        from = value.days
+          ? new Date(to.getTime() - value.days * 24 * 60 * 60 * 1000)
+          : priceHistory.getDefaultFrom(value.interval, to);
+      }
+      const candles = await priceHistory.getCandles(currency, value.interval, from, to);
+
+      res.json({
+        success: true,
+        currency: currency.toLowerCase(),
+        interval: value.interval,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        candles: candles,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error getting ${req.params.currency} history:`, error);
+      const { status, body } = toErrorResponse(error, 'Failed to get price history');
+      res.status(status).json(body);
     }
-
-    const history = await cryptoApi.getPriceHistory(currency, days);
-
-    res.json({
-      success: true,
-      currency: currency.toLowerCase(),
-      history: history,
-      days: days,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error(`Error getting ${req.params.currency} history:`, error);
-    res.status(500).json({ error: 'Failed to get price history' });
-  }
-});
-
-/**
- * GET /api/crypto/market-stats
- * Get market statistics
- */
-router.get('/market-stats', async (req, res) => {
-  try {
-    const cryptoApi = new CryptoApiService();
-    const stats = await cryptoApi.getMarketStats();
-
-    res.json({
-      success: true,
-      stats: stats,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error('Error getting market stats:', error);
-    res.status(500).json({ error: 'Failed to get market statistics' });
-  }
-});
-
-/**
- * GET /api/crypto/status
- * Get crypto API service status
- */
-router.get('/status', async (req, res) => {
-  try {
-    const cryptoApi = new CryptoApiService();
-    const status = await cryptoApi.getStatus();
-
-    res.json({
-      success: true,
-      status: status
-    });
-  } catch (error) {
-    logger.error('Error getting crypto service status:', error);
-    res.status(500).json({ error: 'Failed to get service status' });
-  }
-});
-
-/**
- * GET /api/crypto/supported
- * Get list of supported cryptocurrencies
- */
-router.get('/supported', async (req, res) => {
-  try {
-    const cryptoApi = new CryptoApiService();
-    
-    res.json({
-      success: true,
-      supported: [
-        {
-          symbol: 'btc',
-          name: 'Bitcoin',
-          description: 'The first and most well-known cryptocurrency'
-        },
-        {
-          symbol: 'eth',
-          name: 'Ethereum',
-          description: 'A decentralized platform for smart contracts'
+  });
+
+  /**
+   * GET /api/crypto/market-stats
+   * Get market statistics
+   */
+  router.get('/market-stats', async (req, res) => {
+    try {
+      const cryptoApi = CryptoApiService.getInstance();
+      const stats = await cryptoApi.getMarketStats();
+
+      res.json({
+        success: true,
+        stats: stats,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting market stats:', error);
+      res.status(500).json({ error: 'Failed to get market statistics' });
+    }
+  });
+
+  /**
+   * GET /api/crypto/status
+   * Get price provider health and the betting circuit breaker state
+   */
+  router.get('/status', async (req, res) => {
+    try {
+      const status = await gameService.cryptoApi.getStatus();
+
+      res.json({
+        success: true,
+        status: {
+          ...status,
+          priceHealth: gameService.priceHealth.getStatus()
         }
-      ],
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error('Error getting supported currencies:', error);
-    res.status(500).json({ error: 'Failed to get supported currencies' });
-  }
-});
+      });
+    } catch (error) {
+      logger.error('Error getting crypto service status:', error);
+      res.status(500).json({ error: 'Failed to get service status' });
+    }
+  });
+
+  /**
+   * GET /api/crypto/supported
+   * Get list of supported cryptocurrencies
+   */
+  router.get('/supported', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        supported: CRYPTO_CURRENCIES.map(currency => ({
+          symbol: currency.symbol,
+          name: currency.name,
+          description: currency.description,
+          decimals: currency.decimals,
+          minBetUsd: currency.minBetUsd,
+          maxBetUsd: currency.maxBetUsd
+        })),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Error getting supported currencies:', error);
+      res.status(500).json({ error: 'Failed to get supported currencies' });
+    }
+  });
+
+  return router;
+}
 
-module.exports = router; 
\ No newline at end of file
+module.exports = createCryptoRouter; 
\ No newline at end of file
@@ -3,420 +3,480 @@ const Joi = require('joi');
 const GameRound = require('../models/GameRound');
 const Player = require('../models/Player');
 const Transaction = require('../models/Transaction');
+const CryptoUtils = require('../utils/crypto');
+const IdempotencyService = require('../services/IdempotencyService');
+const { toErrorResponse } = require('../utils/errors');
+const { CRYPTO_SYMBOLS, WALLET_CURRENCIES } = require('../utils/currencies');
+const { requireSession } = require('../utils/auth');
 const logger = require('../utils/logger');
 
-const router = express.Router();
-
 // Validation schemas
+// The acting player comes from the session; ids sent in a body are dropped
 const betSchema = Joi.object({
-  playerId: Joi.string().required(),
-  username: Joi.string().required(),
+  playerId: Joi.any().strip(),
+  username: Joi.any().strip(),
   usdAmount: Joi.number().positive().required(),
-  currency: Joi.string().valid('btc', 'eth').required()
+  currency: Joi.string().valid(...CRYPTO_SYMBOLS).required(),
+  autoCashoutAt: Joi.number().min(1.01).allow(null),
+  // Wallet to take the stake from; defaults to usd
+  fundingSource: Joi.string().valid(...WALLET_CURRENCIES).default('usd'),
+  // Signed quote from GET /api/game/quote/:currency
+  priceQuote: Joi.string().max(1000),
+  requestId: IdempotencyService.keySchema
 });
 
 const cashoutSchema = Joi.object({
-  playerId: Joi.string().required(),
-  username: Joi.string().required()
+  playerId: Joi.any().strip(),
+  username: Joi.any().strip(),
+  betId: Joi.string(),
+  fraction: Joi.number().greater(0).max(1).default(1),
+  requestId: IdempotencyService.keySchema
 });
 
-/**
- * GET /api/game/state
- * Get current game state
- */
-router.get('/state', async (req, res) => {
-  try {
-    // Get the most recent active or waiting round
-    const currentRound = await GameRound.findOne({
-      status: { $in: ['waiting', 'active'] }
-    }).sort({ startTime: -1 });
-
-    if (!currentRound) {
-      return res.json({
-        status: 'waiting',
-        currentRound: null,
-        message: 'No active round'
-      });
-    }
+const clientSeedSchema = Joi.object({
+  playerId: Joi.any().strip(),
+  username: Joi.any().strip(),
+  clientSeed: Joi.string().pattern(/^[\x21-\x7e]{1,64}$/).required()
+});
 
-    // Calculate current multiplier if round is active
-    let currentMultiplier = 1.0;
-    if (currentRound.status === 'active') {
-      const elapsedTime = Date.now() - currentRound.startTime.getTime();
-      const { calculateMultiplier } = require('../utils/crypto');
-      currentMultiplier = calculateMultiplier(elapsedTime);
-    }
+const cancelQueuedBetSchema = Joi.object({
+  playerId: Joi.any().strip(),
+  queueId: Joi.string().required()
+});
 
-    res.json({
-      status: currentRound.status,
-      currentRound: {
-        roundId: currentRound.roundId,
-        status: currentRound.status,
-        startTime: currentRound.startTime,
-        crashPoint: currentRound.crashPoint,
-        currentMultiplier: currentMultiplier,
-        totalBets: currentRound.totalBets,
-        totalCashouts: currentRound.totalCashouts,
-        totalWinners: currentRound.totalWinners,
-        totalLosers: currentRound.totalLosers,
-        seed: currentRound.seed,
-        hash: currentRound.hash
-      }
-    });
-  } catch (error) {
-    logger.error('Error getting game state:', error);
-    res.status(500).json({ error: 'Failed to get game state' });
-  }
+const verifySchema = Joi.object({
+  seed: Joi.string().required(),
+  roundId: Joi.string(),
+  salt: Joi.string(),
+  clientSeed: Joi.string().allow(null),
+  hash: Joi.string().hex().length(64),
+  previousHash: Joi.string().hex().length(64).allow(null),
+  crashPoint: Joi.number().min(1)
 });
 
 /**
- * POST /api/game/bet
- * Place a bet in the current round
+ * Check that a round's commitment chains onto the round before it in the same seed chain
  */
-router.post('/bet', async (req, res) => {
-  try {
-    // Validate request body
-    const { error, value } = betSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
-    }
+async function verifyPreviousRound(round, seed) {
+  if (!round.chainId || !round.chainIndex) {
+    return null;
+  }
 
-    const { playerId, username, usdAmount, currency } = value;
+  const previousRound = await GameRound.findOne({
+    chainId: round.chainId,
+    chainIndex: round.chainIndex - 1
+  });
+  if (!previousRound) {
+    return null;
+  }
 
-    // Get current round
-    const currentRound = await GameRound.findOne({
-      status: 'waiting'
-    }).sort({ startTime: -1 });
+  const hashMatches = previousRound.hash === round.previousHash;
+  // Once revealed, the previous seed must be the hash of this seed
+  const seedMatches = previousRound.status === 'crashed'
+    ? CryptoUtils.hashSeed(seed) === previousRound.seed
+    : null;
+
+  return {
+    roundId: previousRound.roundId,
+    hash: previousRound.hash,
+    hashMatches: hashMatches,
+    seedMatches: seedMatches,
+    valid: hashMatches && seedMatches !== false
+  };
+}
 
-    if (!currentRound) {
-      return res.status(400).json({ error: 'No active round accepting bets' });
+/**
+ * Build the game routes around the running game service
+ * @param {GameService} gameService - The service that owns the current round
+ * @returns {express.Router}
+ */
+function createGameRouter(gameService) {
+  const router = express.Router();
+  const idempotency = new IdempotencyService();
+
+  /**
+   * GET /api/game/state
+   * Get current game state
+   */
+  router.get('/state', (req, res) => {
+    try {
+      // The game service owns the round clock, so it has the live multiplier
+      res.json(gameService.getGameState());
+    } catch (error) {
+      logger.error('Error getting game state:', error);
+      res.status(500).json({ error: 'Failed to get game state' });
     }
+  });
+
+  /**
+   * GET /api/game/quote/:currency
+   * Get a signed, short-lived price quote to submit with a bet
+   */
+  router.get('/quote/:currency', requireSession, async (req, res) => {
+    try {
+      const { currency } = req.params;
+      if (!CryptoUtils.isValidCurrency(currency)) {
+        return res.status(400).json({ error: 'Invalid currency', code: 'INVALID_CURRENCY' });
+      }
 
-    // Get or create player
-    let player = await Player.findOne({ playerId });
-    if (!player) {
-      player = new Player({
-        playerId,
-        username
-      });
+      const quote = await gameService.priceQuotes.issueQuote(currency, req.player.playerId);
+      res.json({ success: true, ...quote });
+    } catch (error) {
+      logger.error('Error issuing price quote:', error);
+      const { status, body } = toErrorResponse(error, 'Failed to get price quote');
+      res.status(status).json(body);
     }
+  });
+
+  /**
+   * POST /api/game/bet
+   * Place a bet in the current round, or queue it for the next one
+   */
+  router.post('/bet', requireSession, async (req, res) => {
+    try {
+      // Validate request body
+      const { error, value } = betSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+      }
 
-    // Check if player has sufficient balance
-    if (player.wallet.usd < usdAmount) {
-      return res.status(400).json({ error: 'Insufficient USD balance' });
-    }
+      const { playerId, username } = req.player;
+      const { usdAmount, currency, autoCashoutAt, fundingSource, priceQuote } = value;
+
+      // Retries with the same idempotency key get the original response
+      const { result, replayed } = await idempotency.run({
+        scope: 'bet',
+        playerId: playerId,
+        key: IdempotencyService.keyFromRequest(req),
+        payload: { usdAmount, currency, autoCashoutAt, fundingSource }
+      }, async () => {
+        const placed = await gameService.placeBet(
+          playerId, username, usdAmount, currency, autoCashoutAt, fundingSource, priceQuote
+        );
+
+        logger.info(`Bet ${placed.queued ? 'queued' : 'placed'} via API: ${username} bet $${usdAmount} in ${currency}`);
+
+        return {
+          ...placed,
+          roundId: placed.queued ? null : gameService.currentRound.roundId
+        };
+      });
 
-    // Get crypto prices
-    const CryptoApiService = require('../services/CryptoApiService');
-    const cryptoApi = new CryptoApiService();
-    const prices = await cryptoApi.getAllPrices();
-    const pricePerCrypto = prices[currency.toLowerCase()];
+      if (replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      res.json(result);
 
-    if (!pricePerCrypto || pricePerCrypto <= 0) {
-      return res.status(400).json({ error: 'Unable to get current crypto price' });
+    } catch (error) {
+      logger.error('Error placing bet:', error);
+      const { status, body } = toErrorResponse(error, 'Failed to place bet');
+      res.status(status).json(body);
     }
-
-    // Convert USD to crypto
-    const { usdToCrypto } = require('../utils/crypto');
-    const cryptoAmount = usdToCrypto(usdAmount, currency, pricePerCrypto);
-
-    // Create bet data
-    const betData = {
-      playerId,
-      username,
-      usdAmount,
-      cryptoAmount,
-      currency: currency.toLowerCase(),
-      priceAtTime: pricePerCrypto,
-      betTime: new Date()
-    };
-
-    // Add bet to round
-    await currentRound.addBet(betData);
-
-    // Update player balance
-    await player.updateWallet('usd', -usdAmount);
-
-    // Create transaction record
-    const transaction = new Transaction({
-      transactionId: Transaction.generateTransactionId(),
-      playerId,
-      username,
-      transactionType: 'bet',
-      roundId: currentRound.roundId,
-      currency: currency.toLowerCase(),
-      usdAmount,
-      cryptoAmount,
-      priceAtTime: pricePerCrypto,
-      transactionHash: Transaction.generateTransactionHash(betData),
-      balanceBefore: {
-        usd: player.wallet.usd + usdAmount,
-        btc: player.wallet.btc,
-        eth: player.wallet.eth
-      },
-      balanceAfter: {
-        usd: player.wallet.usd,
-        btc: player.wallet.btc,
-        eth: player.wallet.eth
+  });
+
+  /**
+   * GET /api/game/queue/:playerId
+   * List a player's bets queued for the next round
+   */
+  router.get('/queue/:playerId', requireSession, async (req, res) => {
+    try {
+      const queuedBets = await gameService.getQueuedBets(req.params.playerId);
+      res.json({ queuedBets });
+    } catch (error) {
+      logger.error('Error getting queued bets:', error);
+      const { status, body } = toErrorResponse(error, 'Failed to get queued bets');
+      res.status(status).json(body);
+    }
+  });
+
+  /**
+   * POST /api/game/queue/cancel
+   * Cancel a queued bet and release the reserved stake
+   */
+  router.post('/queue/cancel', requireSession, async (req, res) => {
+    try {
+      // Validate request body
+      const { error, value } = cancelQueuedBetSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
       }
-    });
-
-    await transaction.save();
-
-    // Update player stats
-    player.totalBets += usdAmount;
-    await player.save();
-
-    logger.info(`Bet placed via API: ${username} bet $${usdAmount} in ${currency}`);
 
-    res.json({
-      success: true,
-      betData,
-      playerBalance: player.wallet,
-      roundId: currentRound.roundId
-    });
-
-  } catch (error) {
-    logger.error('Error placing bet:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * POST /api/game/cashout
- * Process a cashout request
- */
-router.post('/cashout', async (req, res) => {
-  try {
-    // Validate request body
-    const { error, value } = cashoutSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
+      const result = await gameService.cancelQueuedBet(req.player.playerId, value.queueId);
+      res.json(result);
+    } catch (error) {
+      logger.error('Error cancelling queued bet:', error);
+      const { status, body } = toErrorResponse(error, 'Failed to cancel queued bet');
+      res.status(status).json(body);
     }
+  });
+
+  /**
+   * POST /api/game/cashout
+   * Process a cashout request
+   */
+  router.post('/cashout', requireSession, async (req, res) => {
+    try {
+      // Validate request body
+      const { error, value } = cashoutSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+      }
 
-    const { playerId, username } = value;
+      const { playerId, username } = req.player;
+      const { betId, fraction } = value;
+      const roundId = gameService.currentRound ? gameService.currentRound.roundId : null;
+
+      // Retries with the same idempotency key get the original response
+      const { result, replayed } = await idempotency.run({
+        scope: 'cashout',
+        playerId: playerId,
+        key: IdempotencyService.keyFromRequest(req),
+        payload: { betId: betId || null, fraction }
+      }, async () => {
+        const cashout = await gameService.processCashout(playerId, username, betId || null, fraction);
+
+        logger.info(`Cashout processed via API: ${username} cashed out ${fraction * 100}% at ${cashout.multiplier}x for $${cashout.payoutUsd}`);
+
+        return {
+          ...cashout,
+          roundId: roundId
+        };
+      });
 
-    // Get current active round
-    const currentRound = await GameRound.findOne({
-      status: 'active'
-    }).sort({ startTime: -1 });
+      if (replayed) {
+        res.set('Idempotent-Replayed', 'true');
+      }
+      res.json(result);
 
-    if (!currentRound) {
-      return res.status(400).json({ error: 'No active round for cashout' });
+    } catch (error) {
+      logger.error('Error processing cashout:', error);
+      const { status, body } = toErrorResponse(error, 'Failed to process cashout');
+      res.status(status).json(body);
     }
+  });
+
+  /**
+   * POST /api/game/client-seed
+   * Set the client seed mixed into future crash points
+   */
+  router.post('/client-seed', requireSession, async (req, res) => {
+    try {
+      // Validate request body
+      const { error, value } = clientSeedSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+      }
 
-    // Find player's active bet
-    const activeBet = currentRound.bets.find(
-      bet => bet.playerId === playerId && !bet.cashoutMultiplier
-    );
+      const { playerId, username } = req.player;
+      const { clientSeed } = value;
 
-    if (!activeBet) {
-      return res.status(400).json({ error: 'No active bet found for player' });
-    }
+      const result = await gameService.setClientSeed(playerId, username, clientSeed);
 
-    // Calculate current multiplier
-    const elapsedTime = Date.now() - currentRound.startTime.getTime();
-    const { calculateMultiplier } = require('../utils/crypto');
-    const currentMultiplier = calculateMultiplier(elapsedTime);
+      logger.info(`Client seed updated via API for ${username}`);
 
-    // Process cashout
-    await currentRound.processCashout(playerId, currentMultiplier);
-
-    // Get player
-    const player = await Player.findOne({ playerId });
-    if (!player) {
-      return res.status(400).json({ error: 'Player not found' });
+      res.json({
+        success: true,
+        playerId: playerId,
+        clientSeed: result.clientSeed,
+        nonce: result.nonce
+      });
+    } catch (error) {
+      logger.error('Error setting client seed:', error);
+      const { status, body } = toErrorResponse(error, 'Failed to set client seed');
+      res.status(status).json(body);
     }
-
-    // Calculate payout
-    const payoutCrypto = activeBet.cryptoAmount * currentMultiplier;
-    const payoutUsd = activeBet.cashoutUsdAmount;
-
-    // Update player balance
-    await player.updateWallet(activeBet.currency, payoutCrypto);
-    player.totalWins += payoutUsd;
-    await player.save();
-
-    // Create transaction record
-    const transaction = new Transaction({
-      transactionId: Transaction.generateTransactionId(),
-      playerId,
-      username,
-      transactionType: 'cashout',
-      roundId: currentRound.roundId,
-      currency: activeBet.currency,
-      usdAmount: payoutUsd,
-      cryptoAmount: payoutCrypto,
-      priceAtTime: activeBet.priceAtTime,
-      multiplier: currentMultiplier,
-      transactionHash: Transaction.generateTransactionHash({
-        playerId,
-        transactionType: 'cashout',
-        usdAmount: payoutUsd,
-        cryptoAmount: payoutCrypto
-      }),
-      balanceBefore: {
-        usd: player.wallet.usd,
-        btc: player.wallet.btc,
-        eth: player.wallet.eth
-      },
-      balanceAfter: {
-        usd: player.wallet.usd,
-        btc: player.wallet.btc,
-        eth: player.wallet.eth
+  });
+
+  /**
+   * GET /api/game/history
+   * Get round history
+   */
+  router.get('/history', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 10;
+      const page = parseInt(req.query.page) || 1;
+      const skip = (page - 1) * limit;
+
+      const rounds = await GameRound.find()
+        .sort({ startTime: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-bets');
+
+      const total = await GameRound.countDocuments();
+
+      res.json({
+        rounds: rounds.map(round => round.toPublicJSON()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting round history:', error);
+      res.status(500).json({ error: 'Failed to get round history' });
+    }
+  });
+
+  /**
+   * GET /api/game/round/:roundId
+   * Get specific round details
+   */
+  router.get('/round/:roundId', async (req, res) => {
+    try {
+      const { roundId } = req.params;
+
+      const round = await GameRound.findOne({ roundId });
+      if (!round) {
+        return res.status(404).json({ error: 'Round not found' });
       }
-    });
-
-    await transaction.save();
 
-    logger.info(`Cashout processed via API: ${username} cashed out at ${currentMultiplier}x for $${payoutUsd}`);
+      res.json(round.toPublicJSON({ includeBets: true }));
+    } catch (error) {
+      logger.error('Error getting round details:', error);
+      res.status(500).json({ error: 'Failed to get round details' });
+    }
+  });
+
+  /**
+   * GET /api/game/verify/:roundId
+   * Recompute and verify the crash point of a finished round
+   */
+  router.get('/verify/:roundId', async (req, res) => {
+    try {
+      const { roundId } = req.params;
+
+      const round = await GameRound.findOne({ roundId });
+      if (!round) {
+        return res.status(404).json({ error: 'Round not found' });
+      }
 
-    res.json({
-      success: true,
-      multiplier: currentMultiplier,
-      payoutCrypto,
-      payoutUsd,
-      playerBalance: player.wallet,
-      roundId: currentRound.roundId
-    });
+      if (round.status !== 'crashed') {
+        return res.status(400).json({ error: 'Round seed is revealed only after the crash' });
+      }
 
-  } catch (error) {
-    logger.error('Error processing cashout:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+      const report = CryptoUtils.verifyRound(round);
+      const previousRound = await verifyPreviousRound(round, round.seed);
 
-/**
- * GET /api/game/history
- * Get round history
- */
-router.get('/history', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const page = parseInt(req.query.page) || 1;
-    const skip = (page - 1) * limit;
-
-    const rounds = await GameRound.find()
-      .sort({ startTime: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('roundId status crashPoint totalBets totalCashouts totalWinners totalLosers startTime endTime seed hash');
-
-    const total = await GameRound.countDocuments();
-
-    res.json({
-      rounds: rounds.map(round => ({
+      res.json({
         roundId: round.roundId,
-        status: round.status,
-        crashPoint: round.crashPoint,
-        totalBets: round.totalBets,
-        totalCashouts: round.totalCashouts,
-        totalWinners: round.totalWinners,
-        totalLosers: round.totalLosers,
-        startTime: round.startTime,
-        endTime: round.endTime,
+        valid: report.valid && (!previousRound || previousRound.valid),
         seed: round.seed,
-        hash: round.hash
-      })),
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
+        salt: round.salt,
+        clientSeed: round.clientSeed,
+        chainId: round.chainId,
+        chainIndex: round.chainIndex,
+        crashPoint: report.crashPoint,
+        expectedCrashPoint: report.expectedCrashPoint,
+        crashPointValid: report.crashPointValid,
+        chain: report.chain,
+        previousRound: previousRound,
+        steps: report.steps
+      });
+    } catch (error) {
+      logger.error('Error verifying round:', error);
+      res.status(500).json({ error: 'Failed to verify round' });
+    }
+  });
+
+  /**
+   * POST /api/game/verify
+   * Verify an arbitrary seed, optionally against a stored round
+   */
+  router.post('/verify', async (req, res) => {
+    try {
+      // Validate request body
+      const { error, value } = verifySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
       }
-    });
-  } catch (error) {
-    logger.error('Error getting round history:', error);
-    res.status(500).json({ error: 'Failed to get round history' });
-  }
-});
 
-/**
- * GET /api/game/round/:roundId
- * Get specific round details
- */
-router.get('/round/:roundId', async (req, res) => {
-  try {
-    const { roundId } = req.params;
+      let input = value;
+      let previousRound = null;
+
+      // Fill in the public round data for anything not supplied
+      if (value.roundId) {
+        const round = await GameRound.findOne({ roundId: value.roundId });
+        if (!round) {
+          return res.status(404).json({ error: 'Round not found' });
+        }
+
+        input = {
+          hash: round.hash,
+          previousHash: round.previousHash,
+          salt: round.salt,
+          clientSeed: round.clientSeed,
+          crashPoint: round.status === 'crashed' ? round.crashPoint : undefined,
+          ...value
+        };
+        previousRound = await verifyPreviousRound(round, value.seed);
+      }
 
-    const round = await GameRound.findOne({ roundId });
-    if (!round) {
-      return res.status(404).json({ error: 'Round not found' });
+      const report = CryptoUtils.verifyRound(input);
+
+      res.json({
+        roundId: value.roundId || null,
+        valid: report.valid && (!previousRound || previousRound.valid),
+        seed: input.seed,
+        salt: input.salt || CryptoUtils.getDefaultSalt(),
+        clientSeed: input.clientSeed || null,
+        crashPoint: report.crashPoint,
+        expectedCrashPoint: report.expectedCrashPoint,
+        crashPointValid: report.crashPointValid,
+        chain: report.chain,
+        previousRound: previousRound,
+        steps: report.steps
+      });
+    } catch (error) {
+      logger.error('Error verifying seed:', error);
+      res.status(500).json({ error: 'Failed to verify seed' });
     }
+  });
+
+  /**
+   * GET /api/game/statistics
+   * Get game statistics
+   */
+  router.get('/statistics', async (req, res) => {
+    try {
+      const totalRounds = await GameRound.countDocuments();
+      const completedRounds = await GameRound.countDocuments({ status: 'crashed' });
+      const totalBets = await GameRound.aggregate([
+        { $group: { _id: null, total: { $sum: '$totalBets' } } }
+      ]);
+      const totalCashouts = await GameRound.aggregate([
+        { $group: { _id: null, total: { $sum: '$totalCashouts' } } }
+      ]);
+      const totalWinners = await GameRound.aggregate([
+        { $group: { _id: null, total: { $sum: '$totalWinners' } } }
+      ]);
+      const totalLosers = await GameRound.aggregate([
+        { $group: { _id: null, total: { $sum: '$totalLosers' } } }
+      ]);
+
+      const totalPlayers = await Player.countDocuments();
+      const totalTransactions = await Transaction.countDocuments();
+
+      res.json({
+        totalRounds,
+        completedRounds,
+        totalBets: totalBets[0]?.total || 0,
+        totalCashouts: totalCashouts[0]?.total || 0,
+        totalWinners: totalWinners[0]?.total || 0,
+        totalLosers: totalLosers[0]?.total || 0,
+        totalPlayers,
+        totalTransactions,
+        houseProfit: (totalBets[0]?.total || 0) - (totalCashouts[0]?.total || 0)
+      });
+    } catch (error) {
+      logger.error('Error getting game statistics:', error);
+      res.status(500).json({ error: 'Failed to get game statistics' });
+    }
+  });
 
-    res.json({
-      roundId: round.roundId,
-      status: round.status,
-      startTime: round.startTime,
-      endTime: round.endTime,
-      crashPoint: round.crashPoint,
-      seed: round.seed,
-      hash: round.hash,
-      totalBets: round.totalBets,
-      totalCashouts: round.totalCashouts,
-      totalWinners: round.totalWinners,
-      totalLosers: round.totalLosers,
-      houseProfit: round.houseProfit,
-      bets: round.bets.map(bet => ({
-        playerId: bet.playerId,
-        username: bet.username,
-        usdAmount: bet.usdAmount,
-        cryptoAmount: bet.cryptoAmount,
-        currency: bet.currency,
-        priceAtTime: bet.priceAtTime,
-        cashoutMultiplier: bet.cashoutMultiplier,
-        cashoutCryptoAmount: bet.cashoutCryptoAmount,
-        cashoutUsdAmount: bet.cashoutUsdAmount,
-        isWinner: bet.isWinner,
-        betTime: bet.betTime,
-        cashoutTime: bet.cashoutTime
-      }))
-    });
-  } catch (error) {
-    logger.error('Error getting round details:', error);
-    res.status(500).json({ error: 'Failed to get round details' });
-  }
-});
-
-/**
- * GET /api/game/statistics
- * Get game statistics
- */
-router.get('/statistics', async (req, res) => {
-  try {
-    const totalRounds = await GameRound.countDocuments();
-    const completedRounds = await GameRound.countDocuments({ status: 'crashed' });
-    const totalBets = await GameRound.aggregate([
-      { $group: { _id: null, total: { $sum: '$totalBets' } } }
-    ]);
-    const totalCashouts = await GameRound.aggregate([
-      { $group: { _id: null, total: { $sum: '$totalCashouts' } } }
-    ]);
-    const totalWinners = await GameRound.aggregate([
-      { $group: { _id: null, total: { $sum: '$totalWinners' } } }
-    ]);
-    const totalLosers = await GameRound.aggregate([
-      { $group: { _id: null, total: { $sum: '$totalLosers' } } }
-    ]);
-
-    const totalPlayers = await Player.countDocuments();
-    const totalTransactions = await Transaction.countDocuments();
-
-    res.json({
-      totalRounds,
-      completedRounds,
-      totalBets: totalBets[0]?.total || 0,
-      totalCashouts: totalCashouts[0]?.total || 0,
-      totalWinners: totalWinners[0]?.total || 0,
-      totalLosers: totalLosers[0]?.total || 0,
-      totalPlayers,
-      totalTransactions,
-      houseProfit: (totalBets[0]?.total || 0) - (totalCashouts[0]?.total || 0)
-    });
-  } catch (error) {
-    logger.error('Error getting game statistics:', error);
-    res.status(500).json({ error: 'Failed to get game statistics' });
-  }
-});
+  return router;
+}
 
-module.exports = router; 
\ No newline at end of file
+module.exports = createGameRouter; 
\ No newline at end of file
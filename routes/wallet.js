@@ -3,21 +3,80 @@ const Joi = require('joi');
 const Player = require('../models/Player');
 const Transaction = require('../models/Transaction');
 const CryptoApiService = require('../services/CryptoApiService');
+const LedgerService = require('../services/LedgerService');
+const IdempotencyService = require('../services/IdempotencyService');
+const WithdrawalService = require('../services/WithdrawalService');
+const ExchangeService = require('../services/ExchangeService');
+const AuthService = require('../services/AuthService');
+const { GameError, toErrorResponse } = require('../utils/errors');
+const { withTransaction } = require('../utils/db');
+const { WALLET_CURRENCIES } = require('../utils/currencies');
+const { requireSession } = require('../utils/auth');
+const { readSecret, matchesSecret } = require('../utils/secrets');
 const logger = require('../utils/logger');
 
 const router = express.Router();
+const idempotency = new IdempotencyService();
+const withdrawals = new WithdrawalService();
+const exchange = new ExchangeService();
+const auth = new AuthService();
 
 // Validation schemas
-const playerSchema = Joi.object({
-  playerId: Joi.string().required(),
-  username: Joi.string().required()
+const withdrawSchema = Joi.object({
+  // The acting player comes from the session, never from the body
+  playerId: Joi.any().strip(),
+  amount: Joi.number().positive().required(),
+  currency: Joi.string().valid(...WALLET_CURRENCIES).default('usd'),
+  destination: Joi.string().trim().max(200).required(),
+  requestId: IdempotencyService.keySchema
 });
 
+const exchangeQuoteSchema = Joi.object({
+  playerId: Joi.any().strip(),
+  fromCurrency: Joi.string().valid(...WALLET_CURRENCIES).required(),
+  toCurrency: Joi.string().valid(...WALLET_CURRENCIES).required(),
+  amount: Joi.number().positive().required()
+});
+
+const exchangeSchema = Joi.object({
+  playerId: Joi.any().strip(),
+  quoteId: Joi.string().required(),
+  requestId: IdempotencyService.keySchema
+});
+
+const withdrawalLimitSchema = Joi.object({
+  // null restores the default daily limit
+  withdrawalLimitUsd: Joi.number().min(0).allow(null).required()
+});
+
+const resetPasswordSchema = Joi.object({
+  password: Joi.string().min(8).max(128).required()
+});
+
+const rejectWithdrawalSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+// Read once, so an example or weak key stops the server from starting
+const adminKey = readSecret('ADMIN_API_KEY');
+
+/**
+ * Admin endpoints require the X-Admin-Key header to match ADMIN_API_KEY;
+ * they are disabled when no key is configured
+ */
+function requireAdmin(req, res, next) {
+  if (!adminKey || !matchesSecret(req.get('X-Admin-Key') || '', adminKey)) {
+    const { status, body } = toErrorResponse(new GameError('FORBIDDEN', 'Admin access required'));
+    return res.status(status).json(body);
+  }
+  next();
+}
+
 /**
  * GET /api/wallet/balance/:playerId
  * Get player wallet balance
  */
-router.get('/balance/:playerId', async (req, res) => {
+router.get('/balance/:playerId', requireSession, async (req, res) => {
   try {
     const { playerId } = req.params;
 
@@ -28,7 +87,7 @@ router.get('/balance/:playerId', async (req, res) => {
     }
 
     // Get current crypto prices
-    const cryptoApi = new CryptoApiService();
+    const cryptoApi = CryptoApiService.getInstance();
     const prices = await cryptoApi.getAllPrices();
 
     // Get USD equivalent of crypto balances
@@ -37,14 +96,7 @@ router.get('/balance/:playerId', async (req, res) => {
     res.json({
       playerId: player.playerId,
       username: player.username,
-      wallet: {
-        btc: player.wallet.btc,
-        eth: player.wallet.eth,
-        usd: player.wallet.usd,
-        btcUsd: balanceData.btcUsd,
-        ethUsd: balanceData.ethUsd,
-        totalUsd: balanceData.totalUsd
-      },
+      wallet: balanceData,
       statistics: {
         totalBets: player.totalBets,
         totalWins: player.totalWins,
@@ -58,59 +110,11 @@ router.get('/balance/:playerId', async (req, res) => {
   }
 });
 
-/**
- * POST /api/wallet/create
- * Create a new player wallet
- */
-router.post('/create', async (req, res) => {
-  try {
-    // Validate request body
-    const { error, value } = playerSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
-    }
-
-    const { playerId, username } = value;
-
-    // Check if player already exists
-    const existingPlayer = await Player.findOne({ 
-      $or: [{ playerId }, { username }] 
-    });
-
-    if (existingPlayer) {
-      return res.status(400).json({ error: 'Player already exists' });
-    }
-
-    // Create new player
-    const player = new Player({
-      playerId,
-      username
-    });
-
-    await player.save();
-
-    logger.info(`New player created: ${username} (${playerId})`);
-
-    res.json({
-      success: true,
-      player: {
-        playerId: player.playerId,
-        username: player.username,
-        wallet: player.wallet,
-        createdAt: player.createdAt
-      }
-    });
-  } catch (error) {
-    logger.error('Error creating player:', error);
-    res.status(500).json({ error: 'Failed to create player' });
-  }
-});
-
 /**
  * GET /api/wallet/transactions/:playerId
  * Get player transaction history
  */
-router.get('/transactions/:playerId', async (req, res) => {
+router.get('/transactions/:playerId', requireSession, async (req, res) => {
   try {
     const { playerId } = req.params;
     const limit = parseInt(req.query.limit) || 20;
@@ -166,7 +170,7 @@ router.get('/transactions/:playerId', async (req, res) => {
  * GET /api/wallet/statistics/:playerId
  * Get player statistics
  */
-router.get('/statistics/:playerId', async (req, res) => {
+router.get('/statistics/:playerId', requireSession, async (req, res) => {
   try {
     const { playerId } = req.params;
 
@@ -195,21 +199,14 @@ router.get('/statistics/:playerId', async (req, res) => {
     const winRate = totalBets > 0 ? (totalCashouts / totalBets) * 100 : 0;
 
     // Get crypto prices for current balance
-    const cryptoApi = new CryptoApiService();
+    const cryptoApi = CryptoApiService.getInstance();
     const prices = await cryptoApi.getAllPrices();
     const balanceData = player.getUsdEquivalent(prices);
 
     res.json({
       playerId: player.playerId,
       username: player.username,
-      wallet: {
-        btc: player.wallet.btc,
-        eth: player.wallet.eth,
-        usd: player.wallet.usd,
-        btcUsd: balanceData.btcUsd,
-        ethUsd: balanceData.ethUsd,
-        totalUsd: balanceData.totalUsd
-      },
+      wallet: balanceData,
       statistics: {
         totalBets: totalBets,
         totalCashouts: totalCashouts,
@@ -232,7 +229,7 @@ router.get('/statistics/:playerId', async (req, res) => {
  * GET /api/wallet/players
  * Get all players (admin endpoint)
  */
-router.get('/players', async (req, res) => {
+router.get('/players', requireAdmin, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const page = parseInt(req.query.page) || 1;
@@ -247,7 +244,7 @@ router.get('/players', async (req, res) => {
     const total = await Player.countDocuments();
 
     // Get crypto prices for balance calculations
-    const cryptoApi = new CryptoApiService();
+    const cryptoApi = CryptoApiService.getInstance();
     const prices = await cryptoApi.getAllPrices();
 
     const playersWithBalances = players.map(player => {
@@ -255,14 +252,7 @@ router.get('/players', async (req, res) => {
       return {
         playerId: player.playerId,
         username: player.username,
-        wallet: {
-          btc: player.wallet.btc,
-          eth: player.wallet.eth,
-          usd: player.wallet.usd,
-          btcUsd: balanceData.btcUsd,
-          ethUsd: balanceData.ethUsd,
-          totalUsd: balanceData.totalUsd
-        },
+        wallet: balanceData,
         statistics: {
           totalBets: player.totalBets,
           totalWins: player.totalWins,
@@ -289,15 +279,46 @@ router.get('/players', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/wallet/ledger/:playerId
+ * Compare a player's cached wallet with the balances derived from the ledger
+ */
+router.get('/ledger/:playerId', requireSession, async (req, res) => {
+  try {
+    const { playerId } = req.params;
+
+    const player = await Player.findOne({ playerId });
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const ledgerBalances = await new LedgerService().getPlayerBalances(playerId);
+    const inSync = WALLET_CURRENCIES.every(
+      currency => Math.abs((player.wallet[currency] || 0) - ledgerBalances[currency]) <= 1e-6
+    );
+
+    res.json({
+      playerId,
+      wallet: player.wallet,
+      ledger: ledgerBalances,
+      inSync
+    });
+  } catch (error) {
+    logger.error('Error getting ledger balances:', error);
+    res.status(500).json({ error: 'Failed to get ledger balances' });
+  }
+});
+
 /**
  * POST /api/wallet/deposit
  * Simulate a deposit to player wallet
  */
-router.post('/deposit', async (req, res) => {
+router.post('/deposit', requireSession, async (req, res) => {
   try {
-    const { playerId, amount, currency = 'usd' } = req.body;
+    const { playerId } = req.player;
+    const { amount, currency = 'usd' } = req.body;
 
-    if (!playerId || !amount || amount <= 0) {
+    if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Invalid deposit parameters' });
     }
 
@@ -307,49 +328,253 @@ router.post('/deposit', async (req, res) => {
       return res.status(404).json({ error: 'Player not found' });
     }
 
-    // Update wallet balance
-    await player.updateWallet(currency, amount);
-
-    // Create transaction record
-    const transaction = new Transaction({
-      transactionId: Transaction.generateTransactionId(),
+    // Retries with the same idempotency key get the original response
+    const { result, replayed } = await idempotency.run({
+      scope: 'deposit',
       playerId,
-      username: player.username,
-      transactionType: 'deposit',
-      currency: currency,
-      usdAmount: currency === 'usd' ? amount : 0,
-      cryptoAmount: currency !== 'usd' ? amount : 0,
-      priceAtTime: 1,
-      transactionHash: Transaction.generateTransactionHash({
-        playerId,
-        transactionType: 'deposit',
-        usdAmount: currency === 'usd' ? amount : 0,
-        cryptoAmount: currency !== 'usd' ? amount : 0
-      }),
-      balanceBefore: {
-        usd: player.wallet.usd - (currency === 'usd' ? amount : 0),
-        btc: player.wallet.btc - (currency === 'btc' ? amount : 0),
-        eth: player.wallet.eth - (currency === 'eth' ? amount : 0)
-      },
-      balanceAfter: {
-        usd: player.wallet.usd,
-        btc: player.wallet.btc,
-        eth: player.wallet.eth
-      }
+      key: IdempotencyService.keyFromRequest(req),
+      payload: { amount, currency }
+    }, async () => {
+      // Credit the wallet and record the deposit together
+      const transaction = await withTransaction(async (session) => {
+        await player.updateWallet(currency, amount, { session });
+
+        const [deposit] = await Transaction.create([{
+          transactionId: Transaction.generateTransactionId(),
+          playerId,
+          username: player.username,
+          transactionType: 'deposit',
+          currency: currency,
+          usdAmount: currency === 'usd' ? amount : 0,
+          cryptoAmount: currency !== 'usd' ? amount : 0,
+          priceAtTime: 1,
+          transactionHash: Transaction.generateTransactionHash({
+            playerId,
+            transactionType: 'deposit',
+            usdAmount: currency === 'usd' ? amount : 0,
+            cryptoAmount: currency !== 'usd' ? amount : 0
+          }),
+          ...player.getBalanceChange(currency, amount)
+        }], { session });
+
+        await new LedgerService().post('deposit', [{
+          from: LedgerService.external(),
+          to: LedgerService.player(playerId),
+          currency: currency,
+          amount: amount
+        }], { session, transactionId: deposit.transactionId });
+
+        return deposit;
+      });
+
+      logger.info(`Deposit processed: ${player.username} received ${amount} ${currency}`);
+
+      return {
+        success: true,
+        playerBalance: player.wallet,
+        transaction: transaction.getSummary()
+      };
     });
 
-    await transaction.save();
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Error processing deposit:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to process deposit');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/wallet/exchange/quote
+ * Quote an exchange between wallet currencies; the price is locked until the quote expires
+ */
+router.post('/exchange/quote', requireSession, async (req, res) => {
+  try {
+    const { error, value } = exchangeQuoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
 
-    logger.info(`Deposit processed: ${player.username} received ${amount} ${currency}`);
+    const { playerId } = req.player;
+    const { fromCurrency, toCurrency, amount } = value;
+    const quote = await exchange.createQuote(playerId, fromCurrency, toCurrency, amount);
+
+    res.json({ success: true, quote });
+  } catch (error) {
+    logger.error('Error creating exchange quote:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to create exchange quote');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/wallet/exchange
+ * Exchange between wallet currencies at a quoted price
+ */
+router.post('/exchange', requireSession, async (req, res) => {
+  try {
+    const { error, value } = exchangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const { playerId } = req.player;
+    const { quoteId } = value;
+
+    const { result, replayed } = await idempotency.run({
+      scope: 'exchange',
+      playerId,
+      key: IdempotencyService.keyFromRequest(req),
+      payload: { quoteId }
+    }, () => exchange.executeExchange(playerId, quoteId));
+
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Error processing exchange:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to process exchange');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/wallet/withdraw
+ * Request a withdrawal; the funds are held until an admin reviews it
+ */
+router.post('/withdraw', requireSession, async (req, res) => {
+  try {
+    const { error, value } = withdrawSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const { playerId } = req.player;
+    const { amount, currency, destination } = value;
+
+    const { result, replayed } = await idempotency.run({
+      scope: 'withdraw',
+      playerId,
+      key: IdempotencyService.keyFromRequest(req),
+      payload: { amount, currency, destination }
+    }, () => withdrawals.requestWithdrawal(playerId, currency, amount, destination));
+
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Error requesting withdrawal:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to request withdrawal');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * GET /api/wallet/withdrawals
+ * List withdrawals waiting for review (admin endpoint)
+ */
+router.get('/withdrawals', requireAdmin, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const pending = await withdrawals.getPendingWithdrawals(limit);
+
+    res.json({ withdrawals: pending });
+  } catch (error) {
+    logger.error('Error getting withdrawals:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to get withdrawals');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/wallet/withdrawals/:transactionId/approve
+ * Approve a pending withdrawal and send the payout (admin endpoint)
+ */
+router.post('/withdrawals/:transactionId/approve', requireAdmin, async (req, res) => {
+  try {
+    const result = await withdrawals.approveWithdrawal(req.params.transactionId, 'admin');
+    res.json(result);
+  } catch (error) {
+    logger.error('Error approving withdrawal:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to approve withdrawal');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /api/wallet/withdrawals/:transactionId/reject
+ * Reject a pending withdrawal and return the funds (admin endpoint)
+ */
+router.post('/withdrawals/:transactionId/reject', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = rejectWithdrawalSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await withdrawals.rejectWithdrawal(req.params.transactionId, 'admin', value.reason);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error rejecting withdrawal:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to reject withdrawal');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * PUT /api/wallet/players/:playerId/withdrawal-limit
+ * Set a player's daily withdrawal limit (admin endpoint)
+ */
+router.put('/players/:playerId/withdrawal-limit', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = withdrawalLimitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const player = await Player.findOneAndUpdate(
+      { playerId: req.params.playerId },
+      { $set: { withdrawalLimitUsd: value.withdrawalLimitUsd } },
+      { new: true }
+    );
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found', code: 'PLAYER_NOT_FOUND' });
+    }
 
     res.json({
       success: true,
-      playerBalance: player.wallet,
-      transaction: transaction.getSummary()
+      playerId: player.playerId,
+      withdrawalLimitUsd: player.withdrawalLimitUsd
     });
   } catch (error) {
-    logger.error('Error processing deposit:', error);
-    res.status(500).json({ error: 'Failed to process deposit' });
+    logger.error('Error setting withdrawal limit:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to set withdrawal limit');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * PUT /api/wallet/players/:playerId/password
+ * Set a player's password and end their sessions (admin endpoint)
+ */
+router.put('/players/:playerId/password', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message, code: 'VALIDATION_ERROR' });
+    }
+
+    const result = await auth.resetPassword(req.params.playerId, value.password);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error setting password:', error);
+    const { status, body } = toErrorResponse(error, 'Failed to set password');
+    res.status(status).json(body);
   }
 });
 
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Post opening ledger journals for players created before the ledger existed,
+ * so reconciliation stops flagging their wallets.
+ *
+ * Usage:
+ *   node scripts/backfill-ledger.js [--dry-run]
+ *
+ * Run it while the game server is stopped: each opening is the difference
+ * between the cached wallet and the player's ledger entries at that moment.
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Player = require('../models/Player');
+const LedgerService = require('../services/LedgerService');
+const logger = require('../utils/logger');
+
+// Load environment variables
+dotenv.config();
+
+async function backfillLedger(dryRun) {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crypto-crash', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    logger.info('Connected to MongoDB');
+
+    const ledger = new LedgerService();
+    const players = await Player.find().select('playerId username wallet');
+    let opened = 0;
+
+    for (const player of players) {
+      const transfers = await ledger.getOpeningBackfill(player);
+      if (transfers.length === 0) {
+        continue;
+      }
+
+      const amounts = transfers.map(transfer => `${transfer.amount} ${transfer.currency}`).join(', ');
+      if (!dryRun) {
+        await ledger.post('opening', transfers);
+      }
+      logger.info(`${dryRun ? 'Would open' : 'Opened'} ledger for ${player.username} (${player.playerId}): ${amounts}`);
+      opened++;
+    }
+
+    logger.info(`${dryRun ? 'Would backfill' : 'Backfilled'} ${opened} of ${players.length} players`);
+
+    // Whatever is left over is a real mismatch
+    if (!dryRun) {
+      const report = await ledger.reconcile();
+      logger.info(`Reconciliation: ${report.mismatches.length} mismatched wallets, ${report.unbalanced.length} unbalanced currencies, ` +
+        `${report.unsettledRounds.length} unsettled rounds`);
+    }
+  } catch (error) {
+    logger.error('Error backfilling the ledger:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+  }
+}
+
+// Run the backfill if this file is executed directly
+if (require.main === module) {
+  backfillLedger(process.argv.slice(2).includes('--dry-run'));
+}
+
+module.exports = backfillLedger;
\ No newline at end of file
@@ -3,12 +3,18 @@ const dotenv = require('dotenv');
 const Player = require('../models/Player');
 const GameRound = require('../models/GameRound');
 const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const Session = require('../models/Session');
+const LedgerService = require('../services/LedgerService');
 const CryptoUtils = require('../utils/crypto');
 const logger = require('../utils/logger');
 
 // Load environment variables
 dotenv.config();
 
+// Password set on every sample player
+const SAMPLE_PASSWORD = 'password123';
+
 // Sample players data
 const samplePlayers = [
   {
@@ -63,6 +69,7 @@ const sampleRounds = [
     crashPoint: 2.5,
     seed: CryptoUtils.generateSeed(),
     hash: 'sample_hash_1',
+    salt: CryptoUtils.getDefaultSalt(),
     maxMultiplier: 2.5,
     totalBets: 1500,
     totalCashouts: 800,
@@ -78,6 +85,7 @@ const sampleRounds = [
     crashPoint: 1.8,
     seed: CryptoUtils.generateSeed(),
     hash: 'sample_hash_2',
+    salt: CryptoUtils.getDefaultSalt(),
     maxMultiplier: 1.8,
     totalBets: 2200,
     totalCashouts: 1800,
@@ -93,6 +101,7 @@ const sampleRounds = [
     crashPoint: 5.2,
     seed: CryptoUtils.generateSeed(),
     hash: 'sample_hash_3',
+    salt: CryptoUtils.getDefaultSalt(),
     maxMultiplier: 5.2,
     totalBets: 3000,
     totalCashouts: 2800,
@@ -175,12 +184,17 @@ async function setupDatabase() {
     await Player.deleteMany({});
     await GameRound.deleteMany({});
     await Transaction.deleteMany({});
+    await LedgerEntry.deleteMany({});
+    await Session.deleteMany({});
 
     // Create sample players
     logger.info('Creating sample players...');
+    const ledger = new LedgerService();
     for (const playerData of samplePlayers) {
       const player = new Player(playerData);
+      await player.setPassword(SAMPLE_PASSWORD);
       await player.save();
+      await ledger.openPlayer(player);
       logger.info(`Created player: ${playerData.username}`);
     }
 
@@ -217,6 +231,7 @@ async function setupDatabase() {
 
     logger.info('\nSample Data Summary:');
     logger.info('Players:', players.map(p => `${p.username} (${p.playerId})`));
+    logger.info(`Player password: ${SAMPLE_PASSWORD}`);
     logger.info('Rounds:', rounds.map(r => `${r.roundId} - ${r.crashPoint}x`));
     logger.info('Transactions:', transactions.length);
 
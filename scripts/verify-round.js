@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Offline verifier for exported rounds.
+ *
+ * Usage:
+ *   node scripts/verify-round.js rounds.json [--json]
+ *   curl -s localhost:3000/api/game/history | node scripts/verify-round.js
+ *
+ * Accepts a single round, an array of rounds, or a `/api/game/history`
+ * response. Needs neither the server nor the database; set
+ * MAX_CRASH_MULTIPLIER to the value the server used if it is not the default.
+ */
+const fs = require('fs');
+const CryptoUtils = require('../utils/crypto');
+
+function readInput(file) {
+  return fs.readFileSync(file || 0, 'utf8');
+}
+
+function extractRounds(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.rounds)) {
+    return data.rounds;
+  }
+  return [data];
+}
+
+/**
+ * Verify every revealed round, then check that consecutive rounds of the same
+ * chain link up: the earlier seed must be the hash of the later one
+ */
+function verifyRounds(rounds) {
+  const results = rounds.map(round => {
+    if (!round.seed) {
+      return { roundId: round.roundId, skipped: true, reason: 'Seed not revealed' };
+    }
+    const report = CryptoUtils.verifyRound(round);
+    return { roundId: round.roundId, ...report };
+  });
+
+  const byPosition = new Map();
+  rounds.forEach((round, i) => {
+    if (round.chainId && Number.isInteger(round.chainIndex)) {
+      byPosition.set(`${round.chainId}:${round.chainIndex}`, i);
+    }
+  });
+
+  rounds.forEach((round, i) => {
+    const previousIndex = byPosition.get(`${round.chainId}:${round.chainIndex - 1}`);
+    if (previousIndex === undefined || results[i].skipped) {
+      return;
+    }
+
+    const previous = rounds[previousIndex];
+    const link = {
+      roundId: previous.roundId,
+      hashMatches: previous.hash === round.previousHash,
+      seedMatches: previous.seed ? CryptoUtils.hashSeed(round.seed) === previous.seed : null
+    };
+    results[i].previousRound = link;
+    results[i].valid = results[i].valid && link.hashMatches && link.seedMatches !== false;
+  });
+
+  return results;
+}
+
+function printReport(results) {
+  for (const result of results) {
+    if (result.skipped) {
+      console.log(`-  ${result.roundId}: skipped (${result.reason})`);
+      continue;
+    }
+
+    const mark = result.valid ? 'OK' : 'FAIL';
+    console.log(`${mark} ${result.roundId}: ${result.crashPoint.toFixed(2)}x`);
+    console.log(`   hash ${result.steps.hash} -> ${result.steps.hexPrefix} -> ${result.steps.integer}`);
+    console.log(`   random ${result.steps.randomValue.toFixed(8)}, raw ${result.steps.rawCrashPoint.toFixed(4)}x, ` +
+      `after ${result.steps.houseEdge * 100}% edge ${result.steps.edgeAdjustedCrashPoint.toFixed(4)}x` +
+      (result.steps.capped ? `, capped at ${result.steps.maxCrash}x` : ''));
+    if (result.crashPointValid === false) {
+      console.log(`   crash point mismatch: expected ${result.expectedCrashPoint}x`);
+    }
+    if (result.chain.hashValid === false) {
+      console.log('   seed does not match its commitment');
+    }
+    if (result.chain.previousHashValid === false) {
+      console.log('   commitment does not chain onto previousHash');
+    }
+    if (result.previousRound && !(result.previousRound.hashMatches && result.previousRound.seedMatches !== false)) {
+      console.log(`   does not link to previous round ${result.previousRound.roundId}`);
+    }
+  }
+
+  const verified = results.filter(r => !r.skipped);
+  const failed = verified.filter(r => !r.valid);
+  console.log('');
+  console.log(`${verified.length} verified, ${failed.length} failed, ${results.length - verified.length} skipped`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const file = args.find(arg => !arg.startsWith('--'));
+
+  let rounds;
+  try {
+    rounds = extractRounds(JSON.parse(readInput(file)));
+  } catch (error) {
+    console.error(`Unable to read rounds: ${error.message}`);
+    process.exit(2);
+  }
+
+  const results = verifyRounds(rounds);
+
+  if (asJson) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    printReport(results);
+  }
+
+  process.exit(results.some(r => !r.skipped && !r.valid) ? 1 : 0);
+}
+
+// Run verification if this file is executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { verifyRounds };
\ No newline at end of file
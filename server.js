@@ -15,8 +15,11 @@ dotenv.config();
 const gameRoutes = require('./routes/game');
 const walletRoutes = require('./routes/wallet');
 const cryptoRoutes = require('./routes/crypto');
+const authRoutes = require('./routes/auth');
 const GameService = require('./services/GameService');
 const WebSocketService = require('./services/WebSocketService');
+const WithdrawalService = require('./services/WithdrawalService');
+const { checkTransactionSupport } = require('./utils/db');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -42,31 +45,45 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Initialize services
+const gameService = new GameService();
+const webSocketService = new WebSocketService(io, gameService);
+const withdrawalService = new WithdrawalService();
+webSocketService.startCryptoPriceUpdates();
+
 // Routes
-app.use('/api/game', gameRoutes);
+app.use('/api/game', gameRoutes(gameService));
 app.use('/api/wallet', walletRoutes);
-app.use('/api/crypto', cryptoRoutes);
+app.use('/api/crypto', cryptoRoutes(gameService));
+app.use('/api/auth', authRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Initialize services
-const gameService = new GameService();
-const webSocketService = new WebSocketService(io, gameService);
-webSocketService.startCryptoPriceUpdates();
-
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crypto-crash', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   logger.info('Connected to MongoDB');
+
+  // Wallet writes rely on transactions, so refuse a standalone server unless allowed
+  await checkTransactionSupport();
   
   // Start the game service
   gameService.start();
+
+  // Flag wallets that drift from the ledger
+  gameService.ledger.startReconciliation();
+
+  // Finish withdrawals that were paid out but not recorded in the ledger
+  withdrawalService.startCompletionRetry();
+
+  // Keep prices fresh for every request and socket
+  gameService.cryptoApi.startRefresh();
   
   // Start the server
   const PORT = process.env.PORT || 3000;
@@ -76,7 +93,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crypto-cr
   });
 })
 .catch((error) => {
-  logger.error('MongoDB connection error:', error);
+  logger.error('Failed to start with MongoDB:', error);
   process.exit(1);
 });
 
@@ -84,6 +101,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crypto-cr
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   gameService.stop();
+  gameService.ledger.stopReconciliation();
+  withdrawalService.stopCompletionRetry();
+  gameService.cryptoApi.stopRefresh();
+  webSocketService.stopCryptoPriceUpdates();
   server.close(() => {
     logger.info('Server closed');
     mongoose.connection.close(() => {
@@ -96,6 +117,10 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   gameService.stop();
+  gameService.ledger.stopReconciliation();
+  withdrawalService.stopCompletionRetry();
+  gameService.cryptoApi.stopRefresh();
+  webSocketService.stopCryptoPriceUpdates();
   server.close(() => {
     logger.info('Server closed');
     mongoose.connection.close(() => {
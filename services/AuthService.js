@@ -0,0 +1,200 @@
+const LedgerService = require('./LedgerService');
+const Player = require('../models/Player');
+const { GameError } = require('../utils/errors');
+const { withTransaction } = require('../utils/db');
+const { sessions } = require('../utils/auth');
+const logger = require('../utils/logger');
+
+// Checked against when there is no real hash, so that a sign-in as an unknown
+// player costs the same scrypt work as one with a wrong password
+const DUMMY_PLAYER = new Player({
+  passwordHash: 'scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$Kj71E/wcj1YM/Y+rzqkPHzClVqy9I+k/sN5f+rD7ai1HKxo+pFz0WBWsK8pLijOWc4C2VEaoIdWqjakIutmPEA=='
+});
+
+/**
+ * Player accounts: registration with a password, sign-in with lockout after
+ * repeated failures, sign-out and password changes, which end every session.
+ */
+class AuthService {
+  constructor() {
+    this.ledger = new LedgerService();
+    this.maxFailedLogins = parseInt(process.env.AUTH_MAX_FAILED_LOGINS) || 5;
+    this.lockoutMinutes = parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15;
+  }
+
+  /**
+   * Create a player with a password and sign them in
+   * @returns {Promise<Object>} - Session token, expiry and the new player
+   */
+  async register(playerId, username, password) {
+    const existingPlayer = await Player.exists({ $or: [{ playerId }, { username }] });
+    if (existingPlayer) {
+      throw new GameError('PLAYER_EXISTS', 'Player ID or username is already taken');
+    }
+
+    const player = new Player({
+      playerId: playerId,
+      username: username
+    });
+    await player.setPassword(password);
+
+    // Create the player and post its opening balance
+    try {
+      await withTransaction(async (session) => {
+        await player.save({ session: session });
+        await this.ledger.openPlayer(player, { session: session });
+      });
+    } catch (error) {
+      // Another registration took the id or name since the check above
+      if (error.code !== 11000) {
+        throw error;
+      }
+      throw new GameError('PLAYER_EXISTS', 'Player ID or username is already taken');
+    }
+
+    logger.info(`New player registered: ${username} (${playerId})`);
+
+    const result = await this.startSession(player);
+    result.player.wallet = player.wallet;
+    result.player.createdAt = player.createdAt;
+    return result;
+  }
+
+  /**
+   * Check a player's password and start a session
+   * @returns {Promise<Object>} - Session token, expiry and the player
+   */
+  async login(playerId, password) {
+    const player = await this.checkPassword(playerId, password);
+
+    await Player.updateOne(
+      { _id: player._id },
+      { $set: { failedLogins: 0, lockedUntil: null, lastActive: new Date() } }
+    );
+
+    logger.info(`Player signed in: ${player.username} (${player.playerId})`);
+
+    return this.startSession(player);
+  }
+
+  /**
+   * End the current session, or every session of the player
+   */
+  async logout(session, allSessions = false) {
+    if (allSessions) {
+      await sessions.revokePlayerSessions(session.playerId);
+    } else {
+      await sessions.revokeSession(session.playerId, session.sessionId);
+    }
+
+    logger.info(`Player signed out: ${session.username} (${session.playerId})${allSessions ? ' from all sessions' : ''}`);
+
+    return { success: true };
+  }
+
+  /**
+   * Replace the password after checking the current one. Every session is
+   * revoked, and a new one is started for the caller.
+   * @returns {Promise<Object>} - New session token, expiry and the player
+   */
+  async changePassword(playerId, currentPassword, newPassword) {
+    const player = await this.checkPassword(playerId, currentPassword);
+
+    await player.setPassword(newPassword);
+    await Player.updateOne(
+      { _id: player._id },
+      { $set: { passwordHash: player.passwordHash, failedLogins: 0, lockedUntil: null } }
+    );
+    await sessions.revokePlayerSessions(playerId);
+
+    logger.info(`Password changed for ${player.username} (${playerId})`);
+
+    return this.startSession(player);
+  }
+
+  /**
+   * Set a player's password without the current one, for players created
+   * before passwords existed or locked out of their account (admin only).
+   * Every session of the player is revoked.
+   */
+  async resetPassword(playerId, newPassword) {
+    const player = await Player.findOne({ playerId: playerId });
+    if (!player) {
+      throw new GameError('PLAYER_NOT_FOUND', 'Player not found');
+    }
+
+    await player.setPassword(newPassword);
+    await Player.updateOne(
+      { _id: player._id },
+      { $set: { passwordHash: player.passwordHash, failedLogins: 0, lockedUntil: null } }
+    );
+    await sessions.revokePlayerSessions(playerId);
+
+    logger.info(`Password reset by an admin for ${player.username} (${playerId})`);
+
+    return { success: true, playerId: playerId };
+  }
+
+  /**
+   * Load a player and check their password, counting failures towards a lockout
+   * @returns {Promise<Object>} - The player, with its password hash
+   */
+  async checkPassword(playerId, password) {
+    const player = await Player.findOne({ playerId: playerId }).select('+passwordHash');
+
+    // Unknown players and players without a password get the same answer as a wrong password
+    if (!player || !player.passwordHash) {
+      await DUMMY_PLAYER.verifyPassword(password);
+      throw new GameError('INVALID_CREDENTIALS', 'Invalid player ID or password');
+    }
+    if (player.isLocked()) {
+      throw this.lockedError(player.lockedUntil);
+    }
+
+    if (!(await player.verifyPassword(password))) {
+      await this.recordFailedLogin(player);
+    }
+    return player;
+  }
+
+  /**
+   * Count a failed sign-in and lock the account once there are too many
+   */
+  async recordFailedLogin(player) {
+    const updated = await Player.findOneAndUpdate(
+      { _id: player._id },
+      { $inc: { failedLogins: 1 } },
+      { new: true }
+    );
+
+    if (updated.failedLogins >= this.maxFailedLogins) {
+      const lockedUntil = new Date(Date.now() + this.lockoutMinutes * 60 * 1000);
+      await Player.updateOne({ _id: player._id }, { $set: { failedLogins: 0, lockedUntil: lockedUntil } });
+
+      logger.warn(`Sign-in locked for ${player.username} (${player.playerId}) after ${updated.failedLogins} failed attempts`);
+      throw this.lockedError(lockedUntil);
+    }
+
+    throw new GameError('INVALID_CREDENTIALS', 'Invalid player ID or password');
+  }
+
+  lockedError(lockedUntil) {
+    const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+    return new GameError('ACCOUNT_LOCKED', `Too many failed sign-ins, try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+  }
+
+  async startSession(player) {
+    const session = await sessions.issueToken(player);
+    return {
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      player: {
+        playerId: player.playerId,
+        username: player.username
+      }
+    };
+  }
+}
+
+module.exports = AuthService;
\ No newline at end of file
@@ -1,98 +1,299 @@
+const EventEmitter = require('events');
 const axios = require('axios');
+const PriceHistoryService = require('./PriceHistoryService');
+const { createPriceProviders } = require('./priceProviders');
+const { CRYPTO_CURRENCIES, CRYPTO_SYMBOLS, getProviderId } = require('../utils/currencies');
 const logger = require('../utils/logger');
 
-class CryptoApiService {
-  constructor() {
+// The process-wide instance, see CryptoApiService.getInstance
+let sharedInstance = null;
+
+/**
+ * Current cryptocurrency prices. The process shares one instance, so every
+ * caller sees the same cache and provider health; a background loop keeps the
+ * prices fresh and subscribers are told whenever they change.
+ */
+class CryptoApiService extends EventEmitter {
+  /**
+   * Get the shared instance, creating it on first use
+   * @returns {CryptoApiService}
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new CryptoApiService();
+    }
+    return sharedInstance;
+  }
+
+  constructor(providers = createPriceProviders()) {
+    super();
     this.baseUrl = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
     this.cache = new Map();
     this.cacheTimeout = 10000; // 10 seconds
     this.lastFetch = 0;
-    this.prices = {
-      btc: 0,
-      eth: 0
-    };
+    this.prices = Object.fromEntries(CRYPTO_SYMBOLS.map(currency => [currency, 0]));
+    this.source = null;
+    this.history = new PriceHistoryService();
+    this.pendingFetch = null;
+    this.refreshInterval = null;
+
+    // Prices from a second provider, to check the primary prices against
+    this.crossCheck = process.env.PRICE_CROSS_CHECK !== 'false';
+    this.reference = null;
+    this.crossCheckInFlight = false;
+    // Ask the second provider at most this often, unless a price moves this far from its reference
+    this.crossCheckIntervalMs = parseInt(process.env.PRICE_CROSS_CHECK_INTERVAL) || 30000; // 30 seconds
+    this.crossCheckMove = process.env.PRICE_CROSS_CHECK_MOVE !== undefined
+      ? parseFloat(process.env.PRICE_CROSS_CHECK_MOVE)
+      : 0.01; // 1%
+    this.lastCrossCheckAt = 0;
+
+    // Providers are tried in order; one that keeps failing is skipped for a while
+    this.providers = providers;
+    this.maxFailures = parseInt(process.env.PRICE_PROVIDER_MAX_FAILURES) || 3;
+    this.cooldownMs = parseInt(process.env.PRICE_PROVIDER_COOLDOWN_MS) || 60000; // 1 minute
+    this.health = new Map(providers.map(provider => [provider.name, {
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      latencyMs: null
+    }]));
   }
 
   /**
-   * Fetch current cryptocurrency prices
-   * @returns {Promise<Object>} - Current prices for BTC and ETH
+   * Get current cryptocurrency prices, from the cache while it is fresh
+   * @returns {Promise<Object>} - Current price of every registered currency
    */
   async fetchPrices() {
-    try {
-      const now = Date.now();
-      
-      // Check if we have recent cached data
-      if (now - this.lastFetch < this.cacheTimeout && this.prices.btc > 0) {
-        logger.debug('Using cached crypto prices');
+    // Check if we have recent cached data
+    if (Date.now() - this.lastFetch < this.cacheTimeout && this.hasAllPrices(this.prices)) {
+      logger.debug('Using cached crypto prices');
+      return this.prices;
+    }
+
+    return this.refreshPrices();
+  }
+
+  /**
+   * Fetch prices from the providers now. Concurrent callers share the fetch
+   * that is already running instead of starting their own.
+   * @returns {Promise<Object>} - Current price of every registered currency
+   */
+  refreshPrices() {
+    if (!this.pendingFetch) {
+      this.pendingFetch = this.fetchFromProviders().finally(() => {
+        this.pendingFetch = null;
+      });
+    }
+    return this.pendingFetch;
+  }
+
+  /**
+   * Fetch prices from the first provider that answers
+   */
+  async fetchFromProviders() {
+    const providers = this.getProviderOrder();
+    for (const [index, provider] of providers.entries()) {
+      try {
+        const previous = this.prices;
+        this.prices = await this.fetchFromProvider(provider);
+        this.lastFetch = Date.now();
+        this.source = provider.name;
+        this.history.recordPricesInBackground(this.prices, provider.name, new Date(this.lastFetch));
+        this.crossCheckPrices(providers.slice(index + 1));
+
+        logger.info(`Crypto prices updated from ${provider.name}:`, this.prices);
+        if (CRYPTO_SYMBOLS.some(currency => this.prices[currency] !== previous[currency])) {
+          this.emit('pricesChanged', this.prices);
+        }
         return this.prices;
+      } catch (error) {
+        logger.error(`Error fetching crypto prices from ${provider.name}:`, error.message);
       }
+    }
 
-      logger.info('Fetching fresh crypto prices from CoinGecko');
-      
-      const response = await axios.get(`${this.baseUrl}/simple/price`, {
-        params: {
-          ids: 'bitcoin,ethereum',
-          vs_currencies: 'usd',
-          include_24hr_change: false
-        },
-        timeout: 5000
+    // Keep serving the last known prices; callers treat a zero price as unavailable
+    if (this.hasAllPrices(this.prices)) {
+      logger.warn('Using cached prices, no price provider answered');
+    } else {
+      logger.error('No price provider answered and no prices are cached');
+    }
+    return this.prices;
+  }
+
+  /**
+   * Keep the prices fresh in the background
+   * @param {number} intervalMs - Time between refreshes
+   */
+  startRefresh(intervalMs = parseInt(process.env.PRICE_REFRESH_INTERVAL) || this.cacheTimeout) {
+    this.stopRefresh();
+    this.refreshPrices();
+    this.refreshInterval = setInterval(() => {
+      this.refreshPrices().catch(error => {
+        logger.error('Price refresh failed:', error);
       });
+    }, intervalMs);
+  }
 
-      if (response.data && response.data.bitcoin && response.data.ethereum) {
-        this.prices = {
-          btc: response.data.bitcoin.usd,
-          eth: response.data.ethereum.usd
-        };
-        
-        this.lastFetch = now;
-        
-        logger.info('Crypto prices updated:', this.prices);
-        return this.prices;
-      } else {
-        throw new Error('Invalid response format from CoinGecko API');
+  stopRefresh() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+
+  /**
+   * Call a listener with the new prices whenever any price changes
+   * @param {Function} listener - Called with the price of every currency
+   * @returns {Function} - Call to unsubscribe
+   */
+  subscribe(listener) {
+    const notify = (prices) => {
+      try {
+        listener({ ...prices });
+      } catch (error) {
+        logger.error('Price subscriber failed:', error);
       }
+    };
+    this.on('pricesChanged', notify);
+    return () => this.off('pricesChanged', notify);
+  }
+
+  /**
+   * Providers to try, in configured order. Providers cooling down after
+   * repeated failures are left out, unless every provider is cooling down.
+   */
+  getProviderOrder(now = Date.now()) {
+    const available = this.providers.filter(provider => {
+      const health = this.health.get(provider.name);
+      return health.consecutiveFailures < this.maxFailures ||
+        now - health.lastFailureAt >= this.cooldownMs;
+    });
+    return available.length > 0 ? available : this.providers;
+  }
+
+  /**
+   * Fetch prices from one provider within its timeout and record the outcome
+   */
+  async fetchFromProvider(provider) {
+    const health = this.health.get(provider.name);
+    const startedAt = Date.now();
+    let timer = null;
+
+    try {
+      const prices = await Promise.race([
+        provider.fetchPrices(CRYPTO_SYMBOLS),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            reject(new Error(`${provider.name} did not answer within ${provider.timeout}ms`));
+          }, provider.timeout);
+        })
+      ]);
+
+      health.consecutiveFailures = 0;
+      health.lastSuccessAt = Date.now();
+      health.latencyMs = health.lastSuccessAt - startedAt;
+      return prices;
     } catch (error) {
-      logger.error('Error fetching crypto prices:', error.message);
-      // Try CoinMarketCap as fallback
-      try {
-        logger.info('Trying CoinMarketCap as fallback for crypto prices');
-        const cmcApiKey = process.env.COINMARKETCAP_API_KEY || '46eeb2eb-03a7-4ee6-8c62-df6195127b31';
-        const cmcResponse = await axios.get('https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest', {
-          params: {
-            symbol: 'BTC,ETH',
-            convert: 'USD'
-          },
-          headers: {
-            'X-CMC_PRO_API_KEY': cmcApiKey
-          },
-          timeout: 5000
-        });
-        if (cmcResponse.data && cmcResponse.data.data && cmcResponse.data.data.BTC && cmcResponse.data.data.ETH) {
-          this.prices = {
-            btc: cmcResponse.data.data.BTC.quote.USD.price,
-            eth: cmcResponse.data.data.ETH.quote.USD.price
-          };
-          this.lastFetch = Date.now();
-          logger.info('Crypto prices updated from CoinMarketCap:', this.prices);
-          return this.prices;
-        } else {
-          throw new Error('Invalid response format from CoinMarketCap API');
-        }
-      } catch (cmcError) {
-        logger.error('Error fetching crypto prices from CoinMarketCap:', cmcError.message);
-        // Return cached prices if available, otherwise use fallback prices
-        if (this.prices.btc > 0) {
-          logger.warn('Using cached prices due to API error');
-          return this.prices;
-        } else {
-          logger.warn('Using fallback prices due to API error');
-          return {
-            btc: 60000, // Fallback BTC price
-            eth: 3000   // Fallback ETH price
-          };
+      health.consecutiveFailures++;
+      health.lastFailureAt = Date.now();
+      health.lastError = error.message;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetch reference prices from the next provider that answers, without
+   * holding up the caller. To stay within the providers' rate limits this
+   * runs once per cross-check interval, or sooner when a price has moved away
+   * from its reference.
+   * @param {Array<Object>} providers - Providers after the one that answered
+   */
+  crossCheckPrices(providers, now = Date.now()) {
+    if (!this.crossCheck || providers.length === 0 || this.crossCheckInFlight) {
+      return;
+    }
+    if (now - this.lastCrossCheckAt < this.crossCheckIntervalMs && !this.hasMovedFromReference()) {
+      return;
+    }
+
+    this.crossCheckInFlight = true;
+    this.lastCrossCheckAt = now;
+    (async () => {
+      for (const provider of providers) {
+        try {
+          const prices = await this.fetchFromProvider(provider);
+          this.reference = { source: provider.name, prices: prices, fetchedAt: Date.now() };
+          return;
+        } catch (error) {
+          logger.warn(`Cross-check prices from ${provider.name} failed:`, error.message);
         }
       }
+    })().finally(() => {
+      this.crossCheckInFlight = false;
+    });
+  }
+
+  /**
+   * Check whether any price is further from its reference price than the
+   * cross-check move, or has no reference price yet
+   */
+  hasMovedFromReference() {
+    if (!this.reference) {
+      return true;
     }
+    return CRYPTO_SYMBOLS.some(currency => {
+      const referencePrice = this.reference.prices[currency];
+      return !(referencePrice > 0) ||
+        Math.abs(this.prices[currency] - referencePrice) / referencePrice > this.crossCheckMove;
+    });
+  }
+
+  /**
+   * Get the current price of each currency with its age and, when a second
+   * provider answered, how far that provider's price is from it
+   * @returns {Object} - Per currency: price, source, updatedAt, reference price and deviation
+   */
+  getPriceSnapshot() {
+    return Object.fromEntries(CRYPTO_SYMBOLS.map(currency => {
+      const price = this.prices[currency] || 0;
+      const referencePrice = this.reference ? this.reference.prices[currency] || null : null;
+      return [currency, {
+        price: price,
+        source: this.source,
+        updatedAt: this.lastFetch || null,
+        referenceSource: this.reference ? this.reference.source : null,
+        referencePrice: referencePrice,
+        referenceUpdatedAt: this.reference ? this.reference.fetchedAt : null,
+        deviation: price > 0 && referencePrice > 0 ? Math.abs(price - referencePrice) / referencePrice : null
+      }];
+    }));
+  }
+
+  /**
+   * Check that every registered currency has a price
+   */
+  hasAllPrices(prices) {
+    return CRYPTO_SYMBOLS.every(currency => prices[currency] > 0);
+  }
+
+  /**
+   * Get the health of each configured provider
+   * @returns {Array<Object>} - Provider health in configured order
+   */
+  getProviderHealth() {
+    return this.providers.map(provider => {
+      const health = this.health.get(provider.name);
+      return {
+        name: provider.name,
+        healthy: health.consecutiveFailures < this.maxFailures,
+        timeout: provider.timeout,
+        ...health
+      };
+    });
   }
 
   /**
@@ -145,36 +346,6 @@ class CryptoApiService {
     return parseFloat(usdAmount.toFixed(2));
   }
 
-  /**
-   * Get price history for a cryptocurrency (simplified)
-   * @param {string} currency - Currency symbol
-   * @param {number} days - Number of days
-   * @returns {Promise<Array>} - Price history
-   */
-  async getPriceHistory(currency, days = 7) {
-    try {
-      const response = await axios.get(`${this.baseUrl}/coins/${currency}/market_chart`, {
-        params: {
-          vs_currency: 'usd',
-          days: days
-        },
-        timeout: 10000
-      });
-
-      if (response.data && response.data.prices) {
-        return response.data.prices.map(([timestamp, price]) => ({
-          timestamp,
-          price
-        }));
-      }
-      
-      return [];
-    } catch (error) {
-      logger.error(`Error fetching price history for ${currency}:`, error.message);
-      return [];
-    }
-  }
-
   /**
    * Get market statistics
    * @returns {Promise<Object>} - Market statistics
@@ -206,8 +377,10 @@ class CryptoApiService {
    * @returns {boolean} - True if supported
    */
   isSupportedCurrency(currency) {
-    const supported = ['btc', 'eth', 'bitcoin', 'ethereum'];
-    return supported.includes(currency.toLowerCase());
+    const symbol = currency.toLowerCase();
+    return CRYPTO_CURRENCIES.some(entry =>
+      entry.symbol === symbol || getProviderId(entry.symbol, 'coingecko') === symbol
+    );
   }
 
   /**
@@ -218,16 +391,19 @@ class CryptoApiService {
     try {
       const prices = await this.fetchPrices();
       return {
-        status: 'healthy',
+        status: this.hasAllPrices(prices) ? 'healthy' : 'error',
         lastUpdate: this.lastFetch,
         prices: prices,
-        cacheAge: Date.now() - this.lastFetch
+        source: this.source,
+        cacheAge: Date.now() - this.lastFetch,
+        providers: this.getProviderHealth()
       };
     } catch (error) {
       return {
         status: 'error',
         error: error.message,
-        lastUpdate: this.lastFetch
+        lastUpdate: this.lastFetch,
+        providers: this.getProviderHealth()
       };
     }
   }
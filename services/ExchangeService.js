@@ -0,0 +1,211 @@
+const CryptoApiService = require('./CryptoApiService');
+const LedgerService = require('./LedgerService');
+const PriceHealthMonitor = require('./PriceHealthMonitor');
+const ExchangeQuote = require('../models/ExchangeQuote');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const { GameError } = require('../utils/errors');
+const { withTransaction } = require('../utils/db');
+const { getCurrency, isCryptoCurrency, mapWalletCurrencies } = require('../utils/currencies');
+const logger = require('../utils/logger');
+
+// Credited amounts are rounded down to the currency's decimals
+function roundDown(amount, currency) {
+  const factor = Math.pow(10, getCurrency(currency).decimals);
+  return Math.floor(amount * factor + 1e-9) / factor;
+}
+
+/**
+ * Exchanges between a player's wallet currencies. A quote locks the price for
+ * a short time; executing it debits one wallet and credits the other at that
+ * price, less the spread, which the house keeps.
+ */
+class ExchangeService {
+  constructor() {
+    this.cryptoApi = CryptoApiService.getInstance();
+    this.ledger = new LedgerService();
+    // Same checks as the betting breaker, so exchanges stop when betting does
+    this.priceHealth = new PriceHealthMonitor(this.cryptoApi);
+    this.quoteTtlSeconds = parseInt(process.env.EXCHANGE_QUOTE_TTL_SECONDS) || 30;
+    this.spread = process.env.EXCHANGE_SPREAD ? Number(process.env.EXCHANGE_SPREAD) : 0.01; // 1%
+
+    // A negative spread pays players to trade, one of 1 or more takes everything
+    if (!Number.isFinite(this.spread) || this.spread < 0 || this.spread >= 1) {
+      throw new Error(`EXCHANGE_SPREAD must be a number from 0 up to 1 (exclusive), got "${process.env.EXCHANGE_SPREAD}"`);
+    }
+  }
+
+  /**
+   * Refuse to quote a currency whose price the price-health breaker does not trust
+   */
+  assertPriceHealthy(currency) {
+    if (!isCryptoCurrency(currency)) {
+      return;
+    }
+
+    const problem = this.priceHealth.diagnose(currency, this.cryptoApi.getPriceSnapshot()[currency]);
+    if (problem) {
+      throw new GameError('EXCHANGE_SUSPENDED', `Exchanges in ${currency.toUpperCase()} are suspended: ${problem.message}`);
+    }
+  }
+
+  /**
+   * Quote an exchange at the current price
+   * @returns {Promise<Object>} - Quote summary with its quoteId and expiry
+   */
+  async createQuote(playerId, fromCurrency, toCurrency, fromAmount) {
+    if (fromCurrency === toCurrency) {
+      throw new GameError('INVALID_CURRENCY', 'Cannot exchange a currency for itself');
+    }
+
+    const player = await Player.findOne({ playerId: playerId });
+    if (!player) {
+      throw new GameError('PLAYER_NOT_FOUND', 'Player not found');
+    }
+
+    const prices = { usd: 1, ...(await this.cryptoApi.getAllPrices()) };
+    if (!(prices[fromCurrency] > 0) || !(prices[toCurrency] > 0)) {
+      throw new GameError('PRICE_UNAVAILABLE', 'Unable to get current crypto price');
+    }
+    this.assertPriceHealthy(fromCurrency);
+    this.assertPriceHealthy(toCurrency);
+
+    const rate = prices[fromCurrency] / prices[toCurrency] * (1 - this.spread);
+    const toAmount = roundDown(fromAmount * rate, toCurrency);
+    if (toAmount <= 0) {
+      throw new GameError('INVALID_AMOUNT', 'Exchange amount is too small');
+    }
+
+    const quote = await ExchangeQuote.create({
+      quoteId: ExchangeQuote.generateQuoteId(),
+      playerId: playerId,
+      fromCurrency: fromCurrency,
+      toCurrency: toCurrency,
+      fromAmount: fromAmount,
+      toAmount: toAmount,
+      rate: rate,
+      prices: mapWalletCurrencies(currency => prices[currency]),
+      spread: this.spread,
+      expiresAt: new Date(Date.now() + this.quoteTtlSeconds * 1000)
+    });
+
+    return quote.getSummary();
+  }
+
+  /**
+   * Execute a quote: debit and credit the wallets and record the exchange together
+   * @returns {Promise<Object>} - Exchange transaction and the new balance
+   */
+  async executeExchange(playerId, quoteId) {
+    const player = await Player.findOne({ playerId: playerId });
+    if (!player) {
+      throw new GameError('PLAYER_NOT_FOUND', 'Player not found');
+    }
+
+    const transaction = await withTransaction(async (session) => {
+      // Use the quote up so it cannot be executed twice
+      const quote = await ExchangeQuote.findOneAndUpdate(
+        { quoteId: quoteId, playerId: playerId, status: 'open', expiresAt: { $gt: new Date() } },
+        { $set: { status: 'used' } },
+        { new: true, session: session }
+      );
+      if (!quote) {
+        throw await this.unusableQuoteError(playerId, quoteId);
+      }
+
+      const { fromCurrency, toCurrency, fromAmount, toAmount } = quote;
+
+      await player.updateWallet(fromCurrency, -fromAmount, { session: session });
+      await player.updateWallet(toCurrency, toAmount, { session: session });
+
+      const balanceAfter = player.getWalletSnapshot();
+      const balanceBefore = {
+        ...balanceAfter,
+        [fromCurrency]: balanceAfter[fromCurrency] + fromAmount,
+        [toCurrency]: balanceAfter[toCurrency] - toAmount
+      };
+
+      // Value the exchange by its crypto side
+      const cryptoCurrency = fromCurrency !== 'usd' ? fromCurrency : toCurrency;
+      const cryptoAmount = cryptoCurrency === fromCurrency ? fromAmount : toAmount;
+      const usdAmount = parseFloat((fromAmount * quote.prices[fromCurrency]).toFixed(2));
+
+      const [exchange] = await Transaction.create([{
+        transactionId: Transaction.generateTransactionId(),
+        playerId: playerId,
+        username: player.username,
+        transactionType: 'exchange',
+        currency: cryptoCurrency,
+        usdAmount: usdAmount,
+        cryptoAmount: cryptoAmount,
+        priceAtTime: quote.prices[cryptoCurrency],
+        transactionHash: Transaction.generateTransactionHash({
+          playerId: playerId,
+          transactionType: 'exchange',
+          usdAmount: usdAmount,
+          cryptoAmount: cryptoAmount
+        }),
+        balanceBefore: balanceBefore,
+        balanceAfter: balanceAfter,
+        metadata: {
+          quoteId: quoteId,
+          fromCurrency: fromCurrency,
+          fromAmount: fromAmount,
+          toCurrency: toCurrency,
+          toAmount: toAmount,
+          rate: quote.rate,
+          spread: quote.spread
+        }
+      }], { session: session });
+
+      // The house takes the sold currency and pays out the bought one
+      await this.ledger.post('exchange', [
+        {
+          from: LedgerService.player(playerId),
+          to: LedgerService.house(),
+          currency: fromCurrency,
+          amount: fromAmount
+        },
+        {
+          from: LedgerService.house(),
+          to: LedgerService.player(playerId),
+          currency: toCurrency,
+          amount: toAmount
+        }
+      ], { session: session, transactionId: exchange.transactionId });
+
+      return exchange;
+    });
+
+    logger.info(`Exchange processed: ${player.username} exchanged ${transaction.metadata.fromAmount} ${transaction.metadata.fromCurrency} for ${transaction.metadata.toAmount} ${transaction.metadata.toCurrency}`);
+
+    return {
+      success: true,
+      transaction: {
+        ...transaction.getSummary(),
+        fromCurrency: transaction.metadata.fromCurrency,
+        fromAmount: transaction.metadata.fromAmount,
+        toCurrency: transaction.metadata.toCurrency,
+        toAmount: transaction.metadata.toAmount,
+        rate: transaction.metadata.rate
+      },
+      playerBalance: player.wallet
+    };
+  }
+
+  /**
+   * Build the error for a quote that cannot be executed
+   */
+  async unusableQuoteError(playerId, quoteId) {
+    const quote = await ExchangeQuote.findOne({ quoteId: quoteId, playerId: playerId });
+    if (!quote) {
+      return new GameError('QUOTE_NOT_FOUND', 'Quote not found');
+    }
+    if (quote.status === 'used') {
+      return new GameError('QUOTE_ALREADY_USED', 'Quote has already been used');
+    }
+    return new GameError('QUOTE_EXPIRED', 'Quote has expired, request a new one');
+  }
+}
+
+module.exports = ExchangeService;
\ No newline at end of file
@@ -1,22 +1,56 @@
 const EventEmitter = require('events');
 const CryptoUtils = require('../utils/crypto');
 const CryptoApiService = require('./CryptoApiService');
+const SeedChainService = require('./SeedChainService');
+const RoundClock = require('./RoundClock');
+const LedgerService = require('./LedgerService');
+const PriceQuoteService = require('./PriceQuoteService');
+const PriceHealthMonitor = require('./PriceHealthMonitor');
 const GameRound = require('../models/GameRound');
 const Player = require('../models/Player');
 const Transaction = require('../models/Transaction');
+const { GameError } = require('../utils/errors');
+const { withTransaction } = require('../utils/db');
+const { getCurrency } = require('../utils/currencies');
 const logger = require('../utils/logger');
 
+// Lowest multiplier accepted as an auto-cashout target
+const MIN_AUTO_CASHOUT = 1.01;
+
+// Round statuses during which new bets are queued for the next round
+const QUEUEABLE_STATUSES = ['active', 'crashed'];
+
+// Wallet currency and amount held for a queued bet
+function getQueuedStake(transaction) {
+  const fundingSource = transaction.metadata.fundingSource || 'usd';
+  return {
+    currency: fundingSource,
+    amount: fundingSource === 'usd' ? transaction.usdAmount : transaction.cryptoAmount
+  };
+}
+
 class GameService extends EventEmitter {
   constructor() {
     super();
-    this.cryptoApi = new CryptoApiService();
+    this.cryptoApi = CryptoApiService.getInstance();
+    this.seedChain = new SeedChainService();
+    this.ledger = new LedgerService();
+    this.priceQuotes = new PriceQuoteService(this.cryptoApi);
+    this.priceHealth = new PriceHealthMonitor(this.cryptoApi);
+    this.priceHealthInterval = null;
+    this.priceHealthCheckInterval = parseInt(process.env.PRICE_HEALTH_CHECK_INTERVAL) || 5000; // 5 seconds
     this.currentRound = null;
     this.gameInterval = null;
     this.multiplierInterval = null;
-    this.roundDuration = parseInt(process.env.GAME_ROUND_DURATION) || 10000; // 10 seconds
     this.multiplierUpdateInterval = parseInt(process.env.MULTIPLIER_UPDATE_INTERVAL) || 100; // 100ms
-    this.growthFactor = parseFloat(process.env.GROWTH_FACTOR) || 0.01;
+    this.multiplierCurve = CryptoUtils.getMultiplierCurve().name;
+    this.growthFactor = parseFloat(process.env.GROWTH_FACTOR) ||
+      CryptoUtils.getMultiplierCurve(this.multiplierCurve).defaultGrowthFactor;
+    this.roundClock = new RoundClock(this.multiplierCurve, this.growthFactor);
+    this.crashTimeout = null;
     this.isRunning = false;
+    this.isCrashing = false;
+    this.pendingCashouts = new Map(); // betId -> settlement promise
     this.connectedPlayers = new Set();
   }
 
@@ -31,6 +65,10 @@ class GameService extends EventEmitter {
 
     this.isRunning = true;
     logger.info('Starting game service');
+
+    // Keep checking prices so betting is suspended and resumed without waiting for a bet
+    this.checkPriceHealth();
+    this.priceHealthInterval = setInterval(() => this.checkPriceHealth(), this.priceHealthCheckInterval);
     
     // Start the first round
     this.startNewRound();
@@ -58,6 +96,16 @@ class GameService extends EventEmitter {
       this.multiplierInterval = null;
     }
 
+    if (this.crashTimeout) {
+      clearTimeout(this.crashTimeout);
+      this.crashTimeout = null;
+    }
+
+    if (this.priceHealthInterval) {
+      clearInterval(this.priceHealthInterval);
+      this.priceHealthInterval = null;
+    }
+
     // Finalize current round if active
     if (this.currentRound && this.currentRound.status === 'active') {
       this.finalizeRound();
@@ -69,32 +117,35 @@ class GameService extends EventEmitter {
    */
   async startNewRound() {
     try {
-      // Generate round data
+      // Generate round data from the next seed in the hash chain
       const roundId = CryptoUtils.generateRoundId();
-      const seed = CryptoUtils.generateSeed();
-      const crashData = CryptoUtils.generateCrashPoint(seed, roundId);
+      const link = await this.seedChain.next();
+      const salt = CryptoUtils.getDefaultSalt();
       
-      // Create new round
+      this.roundClock.reset();
+
+      // Create new round; the crash point is derived once betting closes
       this.currentRound = new GameRound({
         roundId: roundId,
         status: 'waiting',
         startTime: new Date(),
-        crashPoint: crashData.crashPoint,
-        seed: crashData.seed,
-        hash: crashData.hash
+        seed: link.seed,
+        hash: link.hash,
+        salt: salt,
+        chainId: link.chainId,
+        chainIndex: link.chainIndex,
+        previousHash: link.previousHash
       });
 
       await this.currentRound.save();
       
-      logger.info(`New round started: ${roundId}, crash point: ${crashData.crashPoint}x`);
+      logger.info(`New round started: ${roundId}, chain position: ${link.chainIndex}`);
       
-      // Emit round start event
-      this.emit('roundStart', {
-        roundId: roundId,
-        startTime: this.currentRound.startTime,
-        seed: crashData.seed,
-        hash: crashData.hash
-      });
+      // Emit round start event; only the commitment is published until the crash
+      this.emit('roundStart', this.currentRound.toPublicJSON());
+
+      // Move bets queued during the previous round into this one
+      await this.placeQueuedBets();
 
       // Start the round after a short delay
       setTimeout(async () => {
@@ -116,24 +167,39 @@ class GameService extends EventEmitter {
       return;
     }
 
+    // Fold the first bettor's client seed into the crash point now that betting is closed
+    const firstBet = this.currentRound.bets[0];
+    const clientSeed = firstBet ? firstBet.clientSeed : null;
+    const crashData = CryptoUtils.generateCrashPoint(this.currentRound.seed, this.currentRound.salt, clientSeed);
+
+    this.currentRound.clientSeed = clientSeed;
+    this.currentRound.crashPoint = crashData.crashPoint;
     this.currentRound.status = 'active';
+
+    // The multiplier starts growing from activation, not from round creation
+    this.roundClock.start();
     await this.currentRound.save();
 
-    const startTime = Date.now();
-    let currentMultiplier = 1.0;
+    // The round lasts exactly as long as the curve takes to reach the crash point
+    const crashTime = this.roundClock.getTimeUntil(crashData.crashPoint);
 
-    logger.info(`Round ${this.currentRound.roundId} activated`);
+    logger.info(`Round ${this.currentRound.roundId} activated, crashes in ${crashTime}ms`);
 
     // Emit round activation
     this.emit('roundActivated', {
       roundId: this.currentRound.roundId,
-      startTime: startTime
+      startTime: this.roundClock.activatedAt,
+      clientSeed: clientSeed
     });
 
     // Start multiplier updates
     this.multiplierInterval = setInterval(() => {
-      const elapsedTime = Date.now() - startTime;
-      currentMultiplier = CryptoUtils.calculateMultiplier(elapsedTime, this.growthFactor);
+      if (!this.roundClock.isRunning()) {
+        return;
+      }
+
+      const elapsedTime = this.roundClock.getElapsedTime();
+      const currentMultiplier = Math.min(this.roundClock.getMultiplier(), this.currentRound.crashPoint);
 
       // Update max multiplier
       if (currentMultiplier > this.currentRound.maxMultiplier) {
@@ -147,27 +213,71 @@ class GameService extends EventEmitter {
         elapsedTime: elapsedTime
       });
 
+      // Settle auto-cashouts at their target before checking for the crash
+      this.processAutoCashouts(currentMultiplier);
+
       // Check if game should crash
       if (currentMultiplier >= this.currentRound.crashPoint) {
         this.crashRound(currentMultiplier);
       }
     }, this.multiplierUpdateInterval);
 
-    // Set timeout for round end
-    setTimeout(() => {
-      if (this.currentRound && this.currentRound.status === 'active') {
-        this.crashRound(currentMultiplier);
+    this.scheduleCrash();
+  }
+
+  /**
+   * Crash at the exact moment the clock reaches the crash point, between ticks
+   * if need be. Re-arms itself if the clock was paused in the meantime.
+   */
+  scheduleCrash() {
+    const crashPoint = this.currentRound.crashPoint;
+
+    this.crashTimeout = setTimeout(() => {
+      this.crashTimeout = null;
+      if (!this.currentRound || this.currentRound.status !== 'active') {
+        return;
       }
-    }, this.roundDuration);
+
+      if (this.roundClock.getMultiplier() >= crashPoint) {
+        // Settle targets passed since the last tick before the round ends
+        this.processAutoCashouts(crashPoint);
+        this.crashRound(crashPoint);
+      } else {
+        this.scheduleCrash();
+      }
+    }, this.roundClock.getTimeUntil(crashPoint));
+  }
+
+  /**
+   * Post the stakes left riding at the crash from pending bets to the house
+   */
+  async settleLosingStakes(session) {
+    const transfers = this.currentRound.bets
+      .filter(bet => !bet.cashoutMultiplier)
+      .map(bet => ({
+        from: LedgerService.pending(),
+        to: LedgerService.house(),
+        currency: bet.fundingSource || 'usd',
+        amount: bet.getRemainingFundedStake()
+      }));
+
+    await this.ledger.post('settlement', transfers, {
+      session: session,
+      roundId: this.currentRound.roundId
+    });
   }
 
   /**
    * Crash the current round
    */
   async crashRound(finalMultiplier) {
-    if (!this.currentRound || this.currentRound.status !== 'active') {
+    if (!this.currentRound || this.currentRound.status !== 'active' || this.isCrashing) {
       return;
     }
+    this.isCrashing = true;
+
+    // Freeze the clock so nothing reads a multiplier past the crash
+    this.roundClock.pause();
 
     // Clear multiplier interval
     if (this.multiplierInterval) {
@@ -175,8 +285,34 @@ class GameService extends EventEmitter {
       this.multiplierInterval = null;
     }
 
-    // Finalize the round
-    await this.currentRound.finalizeRound();
+    if (this.crashTimeout) {
+      clearTimeout(this.crashTimeout);
+      this.crashTimeout = null;
+    }
+
+    try {
+      // Let cashouts already in flight (including auto-cashouts from the last tick) settle first
+      await Promise.allSettled(this.pendingCashouts.values());
+
+      // Finalize the round and move the stakes still riding to the house
+      await withTransaction(async (session) => {
+        await this.currentRound.finalizeRound({ session: session });
+        await this.settleLosingStakes(session);
+      });
+    } catch (error) {
+      logger.error(`Error settling round ${this.currentRound.roundId}:`, error);
+
+      // The round is over either way and its seed is about to be revealed, so
+      // record it as crashed on its own; the stakes it leaves in the pending
+      // account are reported by ledger reconciliation
+      try {
+        await this.currentRound.finalizeRound();
+      } catch (finalizeError) {
+        logger.error(`Error recording round ${this.currentRound.roundId} as crashed:`, finalizeError);
+      }
+    } finally {
+      this.isCrashing = false;
+    }
 
     logger.info(`Round ${this.currentRound.roundId} crashed at ${finalMultiplier}x`);
 
@@ -185,6 +321,11 @@ class GameService extends EventEmitter {
       roundId: this.currentRound.roundId,
       crashPoint: this.currentRound.crashPoint,
       finalMultiplier: finalMultiplier,
+      seed: this.currentRound.seed,
+      hash: this.currentRound.hash,
+      previousHash: this.currentRound.previousHash,
+      salt: this.currentRound.salt,
+      clientSeed: this.currentRound.clientSeed,
       statistics: this.currentRound.getStatistics()
     });
 
@@ -195,216 +336,747 @@ class GameService extends EventEmitter {
   }
 
   /**
-   * Place a bet in the current round
+   * Place a bet in the current round. The stake is taken from the USD wallet,
+   * or with fundingSource set to the bet currency, from that crypto wallet.
+   * With a price quote the stake is converted at the quoted price.
    */
-  async placeBet(playerId, username, usdAmount, currency) {
+  async placeBet(playerId, username, usdAmount, currency, autoCashoutAt = null, fundingSource = 'usd', priceQuote = null) {
     try {
       // Validate inputs
       if (!usdAmount || usdAmount <= 0) {
-        throw new Error('Invalid bet amount');
+        throw new GameError('INVALID_AMOUNT', 'Invalid bet amount');
+      }
+
+      if (autoCashoutAt !== null && autoCashoutAt !== undefined &&
+          (typeof autoCashoutAt !== 'number' || !(autoCashoutAt >= MIN_AUTO_CASHOUT))) {
+        throw new GameError('INVALID_AUTO_CASHOUT', `Auto cashout must be at least ${MIN_AUTO_CASHOUT}x`);
       }
 
       if (!CryptoUtils.isValidCurrency(currency)) {
-        throw new Error('Invalid currency');
+        throw new GameError('INVALID_CURRENCY', 'Invalid currency');
       }
 
-      if (!this.currentRound || this.currentRound.status !== 'waiting') {
-        throw new Error('No active round accepting bets');
+      const { minBetUsd, maxBetUsd } = getCurrency(currency);
+      if (usdAmount < minBetUsd) {
+        throw new GameError('INVALID_AMOUNT', `Minimum bet in ${currency.toUpperCase()} is $${minBetUsd}`);
+      }
+      if (maxBetUsd && usdAmount > maxBetUsd) {
+        throw new GameError('INVALID_AMOUNT', `Maximum bet in ${currency.toUpperCase()} is $${maxBetUsd}`);
       }
 
-      // Get current crypto prices
-      const prices = await this.cryptoApi.getAllPrices();
-      const pricePerCrypto = prices[currency.toLowerCase()];
+      await this.checkPriceHealth();
+      this.assertBettingOpen(currency);
 
-      if (!pricePerCrypto || pricePerCrypto <= 0) {
-        throw new Error('Unable to get current crypto price');
+      fundingSource = typeof fundingSource === 'string' ? fundingSource.toLowerCase() : (fundingSource || 'usd');
+      if (fundingSource !== 'usd' && fundingSource !== currency.toLowerCase()) {
+        throw new GameError('INVALID_FUNDING_SOURCE', 'Bets can be funded from the USD wallet or the bet currency wallet');
       }
 
-      // Convert USD to crypto
-      const cryptoAmount = CryptoUtils.usdToCrypto(usdAmount, currency, pricePerCrypto);
+      // Reject forged or stale quotes before anything is debited; the quote
+      // is used up in the transaction that debits the stake
+      const quote = await this.priceQuotes.checkBetQuote(priceQuote, currency, playerId);
 
-      // Get or create player
-      let player = await Player.findOne({ playerId: playerId });
-      if (!player) {
-        player = new Player({
-          playerId: playerId,
-          username: username
-        });
+      // Bets arriving while a round is running go into the next round
+      if (this.currentRound && QUEUEABLE_STATUSES.includes(this.currentRound.status)) {
+        return await this.queueBet(playerId, username, usdAmount, currency, autoCashoutAt, fundingSource, quote);
       }
 
-      // Check if player has sufficient balance
-      if (player.wallet.usd < usdAmount) {
-        throw new Error('Insufficient USD balance');
+      if (!this.currentRound || this.currentRound.status !== 'waiting') {
+        throw new GameError('ROUND_NOT_ACCEPTING_BETS', 'No active round accepting bets');
       }
 
+      // Get current crypto price and convert USD to crypto
+      const { pricePerCrypto, cryptoAmount } = await this.getBetConversion(usdAmount, currency, quote ? quote.price : null);
+
+      // Get or create player
+      const player = await this.getOrCreatePlayer(playerId, username);
+
       // Create bet data
       const betData = {
+        betId: GameRound.generateBetId(),
         playerId: playerId,
         username: username,
         usdAmount: usdAmount,
         cryptoAmount: cryptoAmount,
         currency: currency.toLowerCase(),
         priceAtTime: pricePerCrypto,
+        fundingSource: fundingSource,
+        clientSeed: player.clientSeed,
+        nonce: null,
+        autoCashoutAt: autoCashoutAt || null,
         betTime: new Date()
       };
+      const stake = fundingSource === 'usd' ? usdAmount : cryptoAmount;
+
+      // Debit the stake, record the transaction and add the bet together
+      let bet = null;
+      try {
+        await withTransaction(async (session) => {
+          if (quote) {
+            await this.priceQuotes.consumeQuote(quote, { session: session });
+          }
+          await player.updateWallet(fundingSource, -stake, {
+            session: session,
+            inc: { nonce: 1, totalBets: usdAmount }
+          });
+          betData.nonce = player.nonce - 1;
+
+          const transactionId = Transaction.generateTransactionId();
+          await Transaction.create([{
+            transactionId: transactionId,
+            playerId: playerId,
+            username: username,
+            transactionType: 'bet',
+            roundId: this.currentRound.roundId,
+            currency: currency.toLowerCase(),
+            usdAmount: usdAmount,
+            cryptoAmount: cryptoAmount,
+            priceAtTime: pricePerCrypto,
+            transactionHash: Transaction.generateTransactionHash(betData),
+            metadata: {
+              betId: betData.betId,
+              fundingSource: fundingSource
+            },
+            ...player.getBalanceChange(fundingSource, -stake)
+          }], { session: session });
+
+          await this.ledger.post('bet', [{
+            from: LedgerService.player(playerId),
+            to: LedgerService.pending(),
+            currency: fundingSource,
+            amount: stake
+          }], {
+            session: session,
+            transactionId: transactionId,
+            roundId: this.currentRound.roundId,
+            betId: betData.betId
+          });
+
+          // Last, so only the commit can fail once the bet is in memory
+          bet = await this.currentRound.addBet(betData, { session: session });
+        });
+      } catch (error) {
+        if (bet) {
+          this.currentRound.discardBet(bet.betId);
+        }
+        throw error;
+      }
+
+      logger.info(`Bet placed: ${username} bet $${usdAmount} in ${currency} from the ${fundingSource} wallet`);
+
+      // Emit bet placed event
+      this.emit('betPlaced', {
+        roundId: this.currentRound.roundId,
+        betId: betData.betId,
+        playerId: playerId,
+        username: username,
+        usdAmount: usdAmount,
+        cryptoAmount: cryptoAmount,
+        currency: currency,
+        fundingSource: fundingSource,
+        autoCashoutAt: betData.autoCashoutAt
+      });
+
+      return {
+        success: true,
+        betId: betData.betId,
+        betData: betData,
+        playerBalance: player.wallet
+      };
 
-      // Add bet to round
-      await this.currentRound.addBet(betData);
+    } catch (error) {
+      logger.error('Error placing bet:', error);
+      throw error;
+    }
+  }
 
-      // Update player balance
-      await player.updateWallet('usd', -usdAmount);
+  /**
+   * Queue a bet for the next round. The stake is debited straight away and
+   * held by a pending bet transaction until the bet is placed or cancelled.
+   * A crypto-funded stake is converted now, so the amount held is final; a
+   * USD stake is converted at the live price once it is placed, since the
+   * quote it came with is long expired by then.
+   */
+  async queueBet(playerId, username, usdAmount, currency, autoCashoutAt = null, fundingSource = 'usd', quote = null) {
+    const conversion = fundingSource === 'usd'
+      ? { pricePerCrypto: 0, cryptoAmount: 0 }
+      : await this.getBetConversion(usdAmount, currency, quote ? quote.price : null);
+    const player = await this.getOrCreatePlayer(playerId, username);
+    const stake = fundingSource === 'usd' ? usdAmount : conversion.cryptoAmount;
+
+    // Reserve the funds and record the pending bet together
+    const transaction = await withTransaction(async (session) => {
+      if (quote) {
+        await this.priceQuotes.consumeQuote(quote, { session: session });
+      }
+      await player.updateWallet(fundingSource, -stake, { session: session });
 
-      // Create transaction record
-      const transaction = new Transaction({
+      const [pending] = await Transaction.create([{
         transactionId: Transaction.generateTransactionId(),
         playerId: playerId,
         username: username,
         transactionType: 'bet',
-        roundId: this.currentRound.roundId,
         currency: currency.toLowerCase(),
         usdAmount: usdAmount,
+        cryptoAmount: conversion.cryptoAmount,
+        priceAtTime: conversion.pricePerCrypto,
+        transactionHash: Transaction.generateTransactionHash({
+          playerId: playerId,
+          transactionType: 'bet',
+          usdAmount: usdAmount,
+          cryptoAmount: conversion.cryptoAmount
+        }),
+        status: 'pending',
+        ...player.getBalanceChange(fundingSource, -stake),
+        metadata: {
+          queued: true,
+          autoCashoutAt: autoCashoutAt || null,
+          fundingSource: fundingSource
+        }
+      }], { session: session });
+
+      await this.ledger.post('bet', [{
+        from: LedgerService.player(playerId),
+        to: LedgerService.pending(),
+        currency: fundingSource,
+        amount: stake
+      }], { session: session, transactionId: pending.transactionId });
+
+      return pending;
+    });
+
+    const queuedBet = {
+      queueId: transaction.transactionId,
+      playerId: playerId,
+      username: username,
+      usdAmount: usdAmount,
+      currency: currency.toLowerCase(),
+      fundingSource: fundingSource,
+      autoCashoutAt: autoCashoutAt || null,
+      queuedAt: transaction.timestamp
+    };
+
+    logger.info(`Bet queued for next round: ${username} bet $${usdAmount} in ${currency}`);
+
+    this.emit('betQueued', queuedBet);
+
+    return {
+      success: true,
+      queued: true,
+      ...queuedBet,
+      playerBalance: player.wallet
+    };
+  }
+
+  /**
+   * Cancel a queued bet and release the reserved funds
+   */
+  async cancelQueuedBet(playerId, queueId) {
+    try {
+      // Claim the pending transaction so it cannot also be placed, and refund it
+      const player = await Player.findOne({ playerId: playerId });
+      const transaction = await withTransaction(async (session) => {
+        const cancelled = await Transaction.findOneAndUpdate(
+          {
+            transactionId: queueId,
+            playerId: playerId,
+            transactionType: 'bet',
+            status: 'pending',
+            'metadata.queued': true
+          },
+          { $set: { status: 'failed', 'metadata.cancelled': true } },
+          { new: true, session: session }
+        );
+
+        if (!cancelled || !player) {
+          throw new GameError('QUEUED_BET_NOT_FOUND', 'Queued bet not found');
+        }
+
+        const stake = getQueuedStake(cancelled);
+        await player.updateWallet(stake.currency, stake.amount, { session: session });
+        await this.ledger.post('refund', [{
+          from: LedgerService.pending(),
+          to: LedgerService.player(playerId),
+          currency: stake.currency,
+          amount: stake.amount
+        }], { session: session, transactionId: cancelled.transactionId });
+
+        return cancelled;
+      });
+
+      logger.info(`Queued bet cancelled: ${transaction.username} got $${transaction.usdAmount} back`);
+
+      this.emit('queuedBetCancelled', {
+        queueId: queueId,
+        playerId: playerId,
+        username: transaction.username,
+        usdAmount: transaction.usdAmount
+      });
+
+      return {
+        success: true,
+        queueId: queueId,
+        playerBalance: player.wallet
+      };
+
+    } catch (error) {
+      logger.error('Error cancelling queued bet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a player's bets waiting for the next round
+   */
+  async getQueuedBets(playerId) {
+    const transactions = await Transaction.find({
+      playerId: playerId,
+      transactionType: 'bet',
+      status: 'pending',
+      'metadata.queued': true
+    }).sort({ timestamp: 1 });
+
+    return transactions.map(tx => ({
+      queueId: tx.transactionId,
+      usdAmount: tx.usdAmount,
+      currency: tx.currency,
+      fundingSource: tx.metadata.fundingSource || 'usd',
+      autoCashoutAt: tx.metadata.autoCashoutAt,
+      queuedAt: tx.timestamp
+    }));
+  }
+
+  /**
+   * Place every queued bet into the current (waiting) round
+   */
+  async placeQueuedBets() {
+    await this.checkPriceHealth();
+
+    const queued = await Transaction.find({
+      transactionType: 'bet',
+      status: 'pending',
+      'metadata.queued': true
+    }).sort({ timestamp: 1 });
+
+    for (const transaction of queued) {
+      try {
+        await this.placeQueuedBet(transaction);
+      } catch (error) {
+        logger.error(`Error placing queued bet ${transaction.transactionId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Place a single queued bet; the stake was already debited when it was queued
+   */
+  async placeQueuedBet(queuedTransaction) {
+    const roundId = this.currentRound.roundId;
+    const { playerId, username, usdAmount, currency } = queuedTransaction;
+    const fundingSource = queuedTransaction.metadata.fundingSource || 'usd';
+    const player = await Player.findOne({ playerId: playerId });
+
+    let betData = null;
+    let bet = null;
+    try {
+      this.assertBettingOpen(currency);
+
+      // A crypto stake keeps the conversion it was debited at, as long as the
+      // price has not moved too far since; otherwise the bet is refunded below
+      if (fundingSource !== 'usd') {
+        await this.priceQuotes.checkDeviation({ currency: currency, price: queuedTransaction.priceAtTime });
+      }
+      const { pricePerCrypto, cryptoAmount } = fundingSource === 'usd'
+        ? await this.getBetConversion(usdAmount, currency)
+        : { pricePerCrypto: queuedTransaction.priceAtTime, cryptoAmount: queuedTransaction.cryptoAmount };
+
+      betData = {
+        betId: GameRound.generateBetId(),
+        playerId: playerId,
+        username: username,
+        usdAmount: usdAmount,
         cryptoAmount: cryptoAmount,
+        currency: currency,
         priceAtTime: pricePerCrypto,
-        transactionHash: Transaction.generateTransactionHash(betData),
-        balanceBefore: {
-          usd: player.wallet.usd + usdAmount,
-          btc: player.wallet.btc,
-          eth: player.wallet.eth
-        },
-        balanceAfter: {
-          usd: player.wallet.usd,
-          btc: player.wallet.btc,
-          eth: player.wallet.eth
+        fundingSource: fundingSource,
+        clientSeed: player.clientSeed,
+        nonce: null,
+        autoCashoutAt: queuedTransaction.metadata.autoCashoutAt || null,
+        betTime: new Date()
+      };
+
+      const placed = await withTransaction(async (session) => {
+        // Claim the transaction; it may have been cancelled in the meantime
+        const claimed = await Transaction.findOneAndUpdate(
+          { _id: queuedTransaction._id, status: 'pending' },
+          {
+            $set: {
+              status: 'completed',
+              roundId: roundId,
+              cryptoAmount: cryptoAmount,
+              priceAtTime: pricePerCrypto,
+              'metadata.betId': betData.betId
+            }
+          },
+          { new: true, session: session }
+        );
+        if (!claimed) {
+          return false;
         }
-      });
 
-      await transaction.save();
+        // The stake was debited when the bet was queued, only the stats move now
+        const before = await Player.findOneAndUpdate(
+          { _id: player._id },
+          { $inc: { nonce: 1, totalBets: usdAmount } },
+          { session: session }
+        );
+        betData.nonce = before.nonce;
 
-      // Update player stats
-      player.totalBets += usdAmount;
-      await player.save();
+        bet = await this.currentRound.addBet(betData, { session: session });
+        return true;
+      });
 
-      logger.info(`Bet placed: ${username} bet $${usdAmount} in ${currency}`);
+      if (!placed) {
+        return;
+      }
+
+      logger.info(`Queued bet placed: ${username} bet $${usdAmount} in ${currency}`);
 
-      // Emit bet placed event
       this.emit('betPlaced', {
-        roundId: this.currentRound.roundId,
+        roundId: roundId,
+        betId: betData.betId,
+        queueId: queuedTransaction.transactionId,
         playerId: playerId,
         username: username,
         usdAmount: usdAmount,
         cryptoAmount: cryptoAmount,
-        currency: currency
+        currency: currency,
+        fundingSource: fundingSource,
+        autoCashoutAt: betData.autoCashoutAt
       });
 
-      return {
-        success: true,
-        betData: betData,
-        playerBalance: player.wallet
-      };
-
     } catch (error) {
-      logger.error('Error placing bet:', error);
+      if (bet) {
+        this.currentRound.discardBet(bet.betId);
+      }
+
+      // Give the reserved funds back rather than leave them stuck
+      const refunded = await withTransaction(async (session) => {
+        // Without transaction support the claim may already have been written
+        const failed = await Transaction.findOneAndUpdate(
+          { _id: queuedTransaction._id, status: { $ne: 'failed' } },
+          { $set: { status: 'failed', 'metadata.error': error.message } },
+          { session: session }
+        );
+        if (failed) {
+          const stake = getQueuedStake(queuedTransaction);
+          await player.updateWallet(stake.currency, stake.amount, { session: session });
+          await this.ledger.post('refund', [{
+            from: LedgerService.pending(),
+            to: LedgerService.player(playerId),
+            currency: stake.currency,
+            amount: stake.amount
+          }], { session: session, transactionId: failed.transactionId });
+        }
+        return !!failed;
+      });
+
+      if (refunded) {
+        this.emit('queuedBetCancelled', {
+          queueId: queuedTransaction.transactionId,
+          playerId: playerId,
+          username: username,
+          usdAmount: usdAmount,
+          reason: error.message
+        });
+      }
+
       throw error;
     }
   }
 
+  /**
+   * Refresh prices and update which currencies can be bet in, announcing
+   * every currency whose betting is suspended or resumed
+   */
+  async checkPriceHealth() {
+    try {
+      await this.cryptoApi.fetchPrices();
+      const { suspended, resumed } = this.priceHealth.evaluate();
+
+      for (const suspension of suspended) {
+        logger.warn(`Betting in ${suspension.currency} suspended: ${suspension.message}`);
+        this.emit('bettingSuspended', suspension);
+      }
+      for (const resumption of resumed) {
+        logger.info(`Betting in ${resumption.currency} resumed`);
+        this.emit('bettingResumed', resumption);
+      }
+    } catch (error) {
+      logger.error('Error checking price health:', error);
+    }
+  }
+
+  /**
+   * Reject a bet in a currency whose prices cannot be trusted right now
+   */
+  assertBettingOpen(currency) {
+    const suspension = this.priceHealth.getSuspension(currency);
+    if (suspension) {
+      throw new GameError('BETTING_SUSPENDED', `Betting in ${currency.toUpperCase()} is suspended: ${suspension.message}`);
+    }
+  }
+
+  /**
+   * Get the price of a currency and the crypto amount for a USD stake; the
+   * quoted price is used when the bet came with a valid quote
+   */
+  async getBetConversion(usdAmount, currency, quotedPrice = null) {
+    const pricePerCrypto = quotedPrice || (await this.cryptoApi.getAllPrices())[currency.toLowerCase()];
+
+    if (!pricePerCrypto || pricePerCrypto <= 0) {
+      throw new GameError('PRICE_UNAVAILABLE', 'Unable to get current crypto price');
+    }
+
+    return {
+      pricePerCrypto: pricePerCrypto,
+      cryptoAmount: CryptoUtils.usdToCrypto(usdAmount, currency, pricePerCrypto)
+    };
+  }
+
+  /**
+   * Get a player, creating it on first contact
+   */
+  async getOrCreatePlayer(playerId, username) {
+    let player = await Player.findOne({ playerId: playerId });
+    if (!player) {
+      player = new Player({
+        playerId: playerId,
+        username: username
+      });
+      await withTransaction(async (session) => {
+        await player.save({ session: session });
+        await this.ledger.openPlayer(player, { session: session });
+      });
+    }
+    return player;
+  }
+
   /**
    * Process a cashout request
    */
-  async processCashout(playerId, username) {
+  async processCashout(playerId, username, betId = null, fraction = 1) {
     try {
-      if (!this.currentRound || this.currentRound.status !== 'active') {
-        throw new Error('No active round for cashout');
+      if (typeof fraction !== 'number' || !(fraction > 0 && fraction <= 1)) {
+        throw new GameError('INVALID_FRACTION', 'Cashout fraction must be between 0 and 1');
+      }
+
+      if (!this.currentRound || this.currentRound.status !== 'active' || this.isCrashing) {
+        throw new GameError('ROUND_NOT_ACTIVE', 'No active round for cashout');
       }
 
-      // Find player's active bet
-      const activeBet = this.currentRound.bets.find(
-        bet => bet.playerId === playerId && !bet.cashoutMultiplier
+      // Find the player's active bet; betId may be omitted when there is only one
+      const activeBets = this.currentRound.bets.filter(
+        bet => bet.playerId === playerId && !bet.cashoutMultiplier && (!betId || bet.betId === betId)
       );
 
-      if (!activeBet) {
-        throw new Error('No active bet found for player');
+      if (activeBets.length === 0) {
+        throw new GameError('BET_NOT_FOUND', 'No active bet found for player');
       }
 
-      // Calculate current multiplier
-      const elapsedTime = Date.now() - this.currentRound.startTime.getTime();
-      const currentMultiplier = CryptoUtils.calculateMultiplier(elapsedTime, this.growthFactor);
+      if (activeBets.length > 1) {
+        throw new GameError('BET_ID_REQUIRED', 'Multiple active bets, betId is required');
+      }
 
-      // Process cashout
-      await this.currentRound.processCashout(playerId, currentMultiplier);
+      const activeBet = activeBets[0];
 
-      // Get player
-      const player = await Player.findOne({ playerId: playerId });
-      if (!player) {
-        throw new Error('Player not found');
+      // Read the multiplier from the round clock, never past the crash point
+      if (!this.roundClock.isRunning()) {
+        throw new GameError('ROUND_NOT_ACTIVE', 'Round is not running');
       }
 
-      // Calculate payout
-      const payoutCrypto = activeBet.cryptoAmount * currentMultiplier;
-      const payoutUsd = activeBet.cashoutUsdAmount;
+      const currentMultiplier = this.roundClock.getMultiplier();
+      if (currentMultiplier >= this.currentRound.crashPoint) {
+        throw new GameError('ROUND_CRASHED', 'Round has already crashed');
+      }
 
-      // Update player balance
-      await player.updateWallet(activeBet.currency, payoutCrypto);
-      player.totalWins += payoutUsd;
-      await player.save();
+      return await this.settleCashout(activeBet, currentMultiplier, { fraction: fraction });
 
-      // Create transaction record
-      const transaction = new Transaction({
-        transactionId: Transaction.generateTransactionId(),
+    } catch (error) {
+      logger.error('Error processing cashout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Settle bets whose auto-cashout target has been reached.
+   * Called from the multiplier tick before the crash check.
+   */
+  processAutoCashouts(currentMultiplier) {
+    const dueBets = this.currentRound.bets.filter(bet =>
+      bet.autoCashoutAt &&
+      !bet.cashoutMultiplier &&
+      bet.autoCashoutAt <= currentMultiplier &&
+      bet.autoCashoutAt < this.currentRound.crashPoint &&
+      !this.pendingCashouts.has(bet.betId)
+    );
+
+    for (const bet of dueBets) {
+      // Settle exactly at the target, not at the (later) tick multiplier
+      this.settleCashout(bet, bet.autoCashoutAt, { auto: true }).catch(error => {
+        logger.error(`Error processing auto cashout for ${bet.username}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Settle a bet at the given multiplier, tracking it until it completes
+   * so the round is not finalized with the cashout in flight
+   */
+  settleCashout(activeBet, multiplier, options = {}) {
+    const { betId } = activeBet;
+    if (this.pendingCashouts.has(betId)) {
+      return Promise.reject(new GameError('REQUEST_IN_PROGRESS', 'Cashout already in progress'));
+    }
+
+    const settlement = this.executeCashout(activeBet, multiplier, options).finally(() => {
+      this.pendingCashouts.delete(betId);
+    });
+    this.pendingCashouts.set(betId, settlement);
+
+    return settlement;
+  }
+
+  /**
+   * Credit a cashout to the player and record it
+   */
+  async executeCashout(activeBet, currentMultiplier, options = {}) {
+    const { betId, playerId, username } = activeBet;
+
+    // Get player
+    const player = await Player.findOne({ playerId: playerId });
+    if (!player) {
+      throw new GameError('PLAYER_NOT_FOUND', 'Player not found');
+    }
+
+    // Settle the bet, credit the payout and record it together
+    const stakeBefore = activeBet.getRemainingFundedStake();
+    const settlement = await withTransaction(async (session) => {
+      // Each partial cashout is recorded on the bet separately
+      const result = await this.currentRound.processCashout(betId, currentMultiplier, {
+        fraction: options.fraction || 1,
+        auto: options.auto,
+        session: session
+      });
+
+      await player.updateWallet(activeBet.currency, result.cryptoAmount, {
+        session: session,
+        inc: { totalWins: result.usdAmount }
+      });
+
+      const transactionId = Transaction.generateTransactionId();
+      await Transaction.create([{
+        transactionId: transactionId,
         playerId: playerId,
         username: username,
         transactionType: 'cashout',
         roundId: this.currentRound.roundId,
         currency: activeBet.currency,
-        usdAmount: payoutUsd,
-        cryptoAmount: payoutCrypto,
+        usdAmount: result.usdAmount,
+        cryptoAmount: result.cryptoAmount,
         priceAtTime: activeBet.priceAtTime,
         multiplier: currentMultiplier,
         transactionHash: Transaction.generateTransactionHash({
           playerId: playerId,
           transactionType: 'cashout',
-          usdAmount: payoutUsd,
-          cryptoAmount: payoutCrypto
+          usdAmount: result.usdAmount,
+          cryptoAmount: result.cryptoAmount
         }),
-        balanceBefore: {
-          usd: player.wallet.usd,
-          btc: player.wallet.btc,
-          eth: player.wallet.eth
+        ...player.getBalanceChange(activeBet.currency, result.cryptoAmount),
+        metadata: {
+          betId: betId,
+          autoCashout: result.auto,
+          fraction: result.fraction,
+          stakeCryptoAmount: result.stakeCryptoAmount,
+          remainingCryptoAmount: activeBet.remainingCryptoAmount
+        }
+      }], { session: session });
+
+      // The settled share of the stake goes to the house, which pays out the winnings
+      await this.ledger.post('cashout', [
+        {
+          from: LedgerService.pending(),
+          to: LedgerService.house(),
+          currency: activeBet.fundingSource || 'usd',
+          amount: stakeBefore - activeBet.getRemainingFundedStake()
         },
-        balanceAfter: {
-          usd: player.wallet.usd,
-          btc: player.wallet.btc,
-          eth: player.wallet.eth
+        {
+          from: LedgerService.house(),
+          to: LedgerService.player(playerId),
+          currency: activeBet.currency,
+          amount: result.cryptoAmount
         }
+      ], {
+        session: session,
+        transactionId: transactionId,
+        roundId: this.currentRound.roundId,
+        betId: betId
       });
 
-      await transaction.save();
+      return result;
+    });
 
-      logger.info(`Cashout processed: ${username} cashed out at ${currentMultiplier}x for $${payoutUsd}`);
+    const payoutCrypto = settlement.cryptoAmount;
+    const payoutUsd = settlement.usdAmount;
 
-      // Emit cashout event
-      this.emit('cashoutProcessed', {
-        roundId: this.currentRound.roundId,
-        playerId: playerId,
-        username: username,
-        multiplier: currentMultiplier,
-        payoutCrypto: payoutCrypto,
-        payoutUsd: payoutUsd,
-        currency: activeBet.currency
-      });
+    logger.info(`${settlement.auto ? 'Auto cashout' : 'Cashout'} processed: ${username} cashed out ${settlement.fraction * 100}% at ${currentMultiplier}x for $${payoutUsd}`);
 
-      return {
-        success: true,
-        multiplier: currentMultiplier,
-        payoutCrypto: payoutCrypto,
-        payoutUsd: payoutUsd,
-        playerBalance: player.wallet
-      };
+    // Emit cashout event
+    this.emit('cashoutProcessed', {
+      roundId: this.currentRound.roundId,
+      betId: betId,
+      playerId: playerId,
+      username: username,
+      multiplier: currentMultiplier,
+      fraction: settlement.fraction,
+      payoutCrypto: payoutCrypto,
+      payoutUsd: payoutUsd,
+      remainingCryptoAmount: activeBet.remainingCryptoAmount,
+      currency: activeBet.currency,
+      auto: settlement.auto
+    });
 
-    } catch (error) {
-      logger.error('Error processing cashout:', error);
-      throw error;
+    return {
+      success: true,
+      betId: betId,
+      multiplier: currentMultiplier,
+      fraction: settlement.fraction,
+      payoutCrypto: payoutCrypto,
+      payoutUsd: payoutUsd,
+      remainingCryptoAmount: activeBet.remainingCryptoAmount,
+      auto: settlement.auto,
+      playerBalance: player.wallet
+    };
+  }
+
+  /**
+   * Set the client seed a player contributes to future rounds
+   */
+  async setClientSeed(playerId, username, clientSeed) {
+    if (!CryptoUtils.isValidClientSeed(clientSeed)) {
+      throw new GameError('INVALID_CLIENT_SEED', 'Invalid client seed');
     }
+
+    // Get or create player
+    const player = await this.getOrCreatePlayer(playerId, username);
+    await player.setClientSeed(clientSeed);
+
+    logger.info(`Client seed updated for ${player.username}`);
+
+    return {
+      clientSeed: player.clientSeed,
+      nonce: player.nonce
+    };
   }
 
   /**
@@ -414,22 +1086,23 @@ class GameService extends EventEmitter {
     if (!this.currentRound) {
       return {
         status: 'waiting',
-        currentRound: null
+        currentRound: null,
+        bettingSuspended: this.priceHealth.getSuspensions()
       };
     }
 
+    const isActive = this.currentRound.status === 'active' && this.roundClock.isStarted();
+
     return {
       status: this.currentRound.status,
       currentRound: {
-        roundId: this.currentRound.roundId,
-        status: this.currentRound.status,
-        startTime: this.currentRound.startTime,
-        crashPoint: this.currentRound.crashPoint,
-        totalBets: this.currentRound.totalBets,
-        totalCashouts: this.currentRound.totalCashouts,
-        totalWinners: this.currentRound.totalWinners,
-        totalLosers: this.currentRound.totalLosers
-      }
+        ...this.currentRound.toPublicJSON(),
+        currentMultiplier: isActive
+          ? Math.min(this.roundClock.getMultiplier(), this.currentRound.crashPoint)
+          : 1.0,
+        clock: isActive ? this.roundClock.toJSON() : null
+      },
+      bettingSuspended: this.priceHealth.getSuspensions()
     };
   }
 
@@ -441,19 +1114,9 @@ class GameService extends EventEmitter {
       const rounds = await GameRound.find()
         .sort({ startTime: -1 })
         .limit(limit)
-        .select('roundId status crashPoint totalBets totalCashouts totalWinners totalLosers startTime endTime');
-
-      return rounds.map(round => ({
-        roundId: round.roundId,
-        status: round.status,
-        crashPoint: round.crashPoint,
-        totalBets: round.totalBets,
-        totalCashouts: round.totalCashouts,
-        totalWinners: round.totalWinners,
-        totalLosers: round.totalLosers,
-        startTime: round.startTime,
-        endTime: round.endTime
-      }));
+        .select('-bets');
+
+      return rounds.map(round => round.toPublicJSON());
     } catch (error) {
       logger.error('Error getting round history:', error);
       return [];
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { GameError } = require('../utils/errors');
+
+// The one rule for idempotency keys, whether sent as a header, a body field or a socket field
+const keySchema = Joi.string().max(255);
+
+// Serialize with sorted keys so equal payloads always hash the same
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class IdempotencyService {
+  constructor() {
+    this.ttlSeconds = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60; // 24 hours
+    // A request still processing after this long is taken to have died, and a retry takes it over
+    this.leaseSeconds = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60;
+  }
+
+  /**
+   * Hash a request payload
+   * @param {Object} payload - Request fields that define the operation
+   * @returns {string} - Hex fingerprint
+   */
+  static fingerprint(payload) {
+    return crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+  }
+
+  /**
+   * Read the key of a REST request: the Idempotency-Key header or a `requestId` field
+   * @returns {string|null} - The key, if the client sent one
+   */
+  static keyFromRequest(req) {
+    return req.get('Idempotency-Key') || (req.body && req.body.requestId) || null;
+  }
+
+  /**
+   * Run a handler at most once per key. A repeated key with the same payload
+   * gets the stored result back instead of running the handler again.
+   * @param {Object} request - scope, playerId, key (optional) and payload
+   * @param {Function} handler - Async function producing a JSON-serializable result
+   * @returns {Promise<Object>} - `{ result, replayed }`
+   */
+  async run(request, handler) {
+    const { scope, playerId, key, payload } = request;
+
+    // Requests without a key are not deduplicated
+    if (!key) {
+      return { result: await handler(), replayed: false };
+    }
+
+    const { error } = keySchema.label('Idempotency key').validate(key);
+    if (error) {
+      throw new GameError('VALIDATION_ERROR', error.details[0].message);
+    }
+
+    const fingerprint = IdempotencyService.fingerprint(payload);
+    const filter = { scope: scope, playerId: playerId, key: key };
+    const leaseId = crypto.randomBytes(12).toString('hex');
+
+    if (!(await this.claim(filter, fingerprint, leaseId))) {
+      return { result: await this.replay(filter, fingerprint), replayed: true };
+    }
+
+    // Only the holder of the lease may finish the record, so a request that
+    // was taken over cannot overwrite or delete its successor's
+    const owned = { ...filter, leaseId: leaseId };
+
+    let result;
+    try {
+      result = await handler();
+    } catch (error) {
+      // Only successful responses are kept; a failed request may be retried
+      await IdempotencyKey.deleteOne(owned);
+      throw error;
+    }
+
+    const response = JSON.parse(JSON.stringify(result));
+    await IdempotencyKey.updateOne(owned, { $set: { status: 'completed', response: response } });
+
+    return { result: response, replayed: false };
+  }
+
+  /**
+   * Take a key for a request: record it, or take over a record of the same
+   * request whose processing lease ran out because its process died
+   * @returns {Promise<boolean>} - Whether the request now holds the key
+   */
+  async claim(filter, fingerprint, leaseId) {
+    const now = Date.now();
+    const leaseExpiresAt = new Date(now + this.leaseSeconds * 1000);
+
+    try {
+      await IdempotencyKey.create({
+        ...filter,
+        fingerprint: fingerprint,
+        leaseId: leaseId,
+        leaseExpiresAt: leaseExpiresAt,
+        expiresAt: new Date(now + this.ttlSeconds * 1000)
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+      { ...filter, fingerprint: fingerprint, status: 'processing', leaseExpiresAt: { $lte: new Date(now) } },
+      { $set: { leaseId: leaseId, leaseExpiresAt: leaseExpiresAt } }
+    );
+    return !!takenOver;
+  }
+
+  /**
+   * Load the stored result of an earlier request with the same key
+   */
+  async replay(filter, fingerprint) {
+    const record = await IdempotencyKey.findOne(filter);
+    if (!record) {
+      // Expired or failed in the meantime
+      throw new GameError('REQUEST_IN_PROGRESS', 'Request with this idempotency key is still being processed');
+    }
+
+    if (record.fingerprint !== fingerprint) {
+      throw new GameError('IDEMPOTENCY_KEY_REUSED', 'Idempotency key was already used for a different request');
+    }
+
+    if (record.status !== 'completed') {
+      throw new GameError('REQUEST_IN_PROGRESS', 'Request with this idempotency key is still being processed');
+    }
+
+    return record.response;
+  }
+}
+
+IdempotencyService.keySchema = keySchema;
+
+module.exports = IdempotencyService;
\ No newline at end of file
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const LedgerEntry = require('../models/LedgerEntry');
+const Player = require('../models/Player');
+const GameRound = require('../models/GameRound');
+const Transaction = require('../models/Transaction');
+const { WALLET_CURRENCIES, mapWalletCurrencies } = require('../utils/currencies');
+const logger = require('../utils/logger');
+
+// Differences below this are rounding noise, not a broken wallet
+const RECONCILE_TOLERANCE = 1e-6;
+
+function roundAmount(amount) {
+  return parseFloat(amount.toFixed(8));
+}
+
+/**
+ * Double-entry ledger behind the player wallets. Every movement of funds is a
+ * transfer between two accounts, so the ledger always sums to zero and each
+ * player's wallet can be rebuilt from their entries.
+ */
+class LedgerService {
+  constructor() {
+    this.reconcileInterval = null;
+  }
+
+  /**
+   * Account descriptors used as the `from`/`to` of a transfer
+   */
+  static player(playerId) {
+    return { type: 'player', playerId: playerId };
+  }
+
+  static house() {
+    return { type: 'house' };
+  }
+
+  static pending() {
+    return { type: 'pending' };
+  }
+
+  static external() {
+    return { type: 'external' };
+  }
+
+  /**
+   * Name of an account in a currency, e.g. player:p1:usd or house:btc
+   */
+  static accountName(account, currency) {
+    return account.type === 'player'
+      ? `player:${account.playerId}:${currency}`
+      : `${account.type}:${currency}`;
+  }
+
+  /**
+   * Post a journal of transfers; each transfer writes a balanced pair of entries
+   * @param {string} entryType - What caused the movement (bet, cashout, ...)
+   * @param {Array} transfers - `{ from, to, currency, amount }` items
+   * @param {Object} options - session, transactionId, roundId, betId
+   * @returns {Promise<string|null>} - Journal ID, or null when nothing moved
+   */
+  async post(entryType, transfers, options = {}) {
+    const { session = null, transactionId = null, roundId = null, betId = null } = options;
+    const journalId = crypto.randomBytes(12).toString('hex');
+    const timestamp = new Date();
+
+    const entries = [];
+    for (const transfer of transfers) {
+      const amount = roundAmount(transfer.amount);
+      if (amount === 0) {
+        continue;
+      }
+      if (!WALLET_CURRENCIES.includes(transfer.currency)) {
+        throw new Error(`Unknown ledger currency: ${transfer.currency}`);
+      }
+
+      for (const [account, signedAmount] of [[transfer.from, -amount], [transfer.to, amount]]) {
+        entries.push({
+          journalId: journalId,
+          entryType: entryType,
+          account: LedgerService.accountName(account, transfer.currency),
+          accountType: account.type,
+          playerId: account.playerId || null,
+          currency: transfer.currency,
+          amount: signedAmount,
+          transactionId: transactionId,
+          roundId: roundId,
+          betId: betId,
+          timestamp: timestamp
+        });
+      }
+    }
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    await LedgerEntry.insertMany(entries, { session: session });
+    return journalId;
+  }
+
+  /**
+   * Post the opening balances of a newly created player
+   */
+  async openPlayer(player, options = {}) {
+    const transfers = WALLET_CURRENCIES
+      .filter(currency => player.wallet[currency] > 0)
+      .map(currency => ({
+        from: LedgerService.external(),
+        to: LedgerService.player(player.playerId),
+        currency: currency,
+        amount: player.wallet[currency]
+      }));
+
+    return this.post('opening', transfers, options);
+  }
+
+  /**
+   * Opening transfers for a player created before the ledger existed: what the
+   * wallet holds beyond its ledger entries. Players that already have an
+   * opening journal get none, and a wallet holding less than its ledger sum is
+   * left for reconciliation to report.
+   * @returns {Promise<Array>} - Transfers to post as the player's opening journal
+   */
+  async getOpeningBackfill(player) {
+    const opened = await LedgerEntry.exists({ accountType: 'player', playerId: player.playerId, entryType: 'opening' });
+    if (opened) {
+      return [];
+    }
+
+    const balances = await this.getPlayerBalances(player.playerId);
+    return WALLET_CURRENCIES
+      .map(currency => ({
+        from: LedgerService.external(),
+        to: LedgerService.player(player.playerId),
+        currency: currency,
+        amount: roundAmount((player.wallet[currency] || 0) - balances[currency])
+      }))
+      .filter(transfer => transfer.amount > 0);
+  }
+
+  /**
+   * Sum a player's ledger entries per currency
+   * @returns {Promise<Object>} - Balance per wallet currency
+   */
+  async getPlayerBalances(playerId) {
+    const sums = await LedgerEntry.aggregate([
+      { $match: { accountType: 'player', playerId: playerId } },
+      { $group: { _id: '$currency', balance: { $sum: '$amount' } } }
+    ]);
+
+    const balances = mapWalletCurrencies(() => 0);
+    for (const sum of sums) {
+      balances[sum._id] = roundAmount(sum.balance);
+    }
+    return balances;
+  }
+
+  /**
+   * Rounds that are over but still hold stakes in the pending account, e.g.
+   * because their settlement failed. A queued bet is debited before it has a
+   * round, so its entries are matched to a round through its transaction.
+   * @returns {Promise<Array>} - `{ roundId, currency, pending }` per unsettled round and currency
+   */
+  async getUnsettledRounds() {
+    const sums = await LedgerEntry.aggregate([
+      { $match: { accountType: 'pending' } },
+      {
+        $lookup: {
+          from: Transaction.collection.name,
+          localField: 'transactionId',
+          foreignField: 'transactionId',
+          as: 'transaction'
+        }
+      },
+      {
+        $project: {
+          currency: 1,
+          amount: 1,
+          roundId: { $ifNull: ['$roundId', { $arrayElemAt: ['$transaction.roundId', 0] }] }
+        }
+      },
+      { $match: { roundId: { $ne: null } } },
+      { $group: { _id: { roundId: '$roundId', currency: '$currency' }, pending: { $sum: '$amount' } } }
+    ]);
+
+    const outstanding = sums.filter(sum => Math.abs(sum.pending) > RECONCILE_TOLERANCE);
+    if (outstanding.length === 0) {
+      return [];
+    }
+
+    // The stakes of the round being played are pending until it crashes
+    const liveRounds = await GameRound.find({
+      roundId: { $in: [...new Set(outstanding.map(sum => sum._id.roundId))] },
+      status: { $in: ['waiting', 'active'] }
+    }).select('roundId');
+    const live = new Set(liveRounds.map(round => round.roundId));
+
+    return outstanding
+      .filter(sum => !live.has(sum._id.roundId))
+      .map(sum => ({ roundId: sum._id.roundId, currency: sum._id.currency, pending: roundAmount(sum.pending) }));
+  }
+
+  /**
+   * Compare every cached player wallet with its ledger sum
+   * @returns {Promise<Object>} - Mismatched wallets, any currency whose ledger
+   * does not sum to zero and finished rounds with stakes left pending
+   */
+  async reconcile() {
+    const sums = await LedgerEntry.aggregate([
+      { $match: { accountType: 'player' } },
+      { $group: { _id: { playerId: '$playerId', currency: '$currency' }, balance: { $sum: '$amount' } } }
+    ]);
+
+    const ledgerBalances = new Map();
+    for (const sum of sums) {
+      const balances = ledgerBalances.get(sum._id.playerId) || mapWalletCurrencies(() => 0);
+      balances[sum._id.currency] = sum.balance;
+      ledgerBalances.set(sum._id.playerId, balances);
+    }
+
+    const mismatches = [];
+    const players = await Player.find().select('playerId username wallet');
+    for (const player of players) {
+      const balances = ledgerBalances.get(player.playerId) || mapWalletCurrencies(() => 0);
+      for (const currency of WALLET_CURRENCIES) {
+        const difference = (player.wallet[currency] || 0) - balances[currency];
+        if (Math.abs(difference) > RECONCILE_TOLERANCE) {
+          mismatches.push({
+            playerId: player.playerId,
+            username: player.username,
+            currency: currency,
+            cached: player.wallet[currency] || 0,
+            ledger: roundAmount(balances[currency]),
+            difference: roundAmount(difference)
+          });
+        }
+      }
+    }
+
+    const totals = await LedgerEntry.aggregate([
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } }
+    ]);
+    const unbalanced = totals
+      .filter(total => Math.abs(total.total) > RECONCILE_TOLERANCE)
+      .map(total => ({ currency: total._id, total: roundAmount(total.total) }));
+
+    for (const mismatch of mismatches) {
+      logger.warn(`Ledger mismatch for ${mismatch.username} (${mismatch.playerId}): ` +
+        `wallet ${mismatch.cached} ${mismatch.currency}, ledger ${mismatch.ledger}`);
+    }
+    for (const total of unbalanced) {
+      logger.error(`Ledger does not balance in ${total.currency}: ${total.total}`);
+    }
+
+    const unsettledRounds = await this.getUnsettledRounds();
+    for (const round of unsettledRounds) {
+      logger.warn(`Round ${round.roundId} still holds ${round.pending} ${round.currency} in the pending account`);
+    }
+
+    return {
+      checkedPlayers: players.length,
+      mismatches: mismatches,
+      unbalanced: unbalanced,
+      unsettledRounds: unsettledRounds
+    };
+  }
+
+  /**
+   * Periodically reconcile wallets against the ledger
+   */
+  startReconciliation(intervalMs = parseInt(process.env.LEDGER_RECONCILE_INTERVAL) || 10 * 60 * 1000) {
+    this.stopReconciliation();
+    this.reconcileInterval = setInterval(() => {
+      this.reconcile().catch(error => {
+        logger.error('Ledger reconciliation failed:', error);
+      });
+    }, intervalMs);
+  }
+
+  stopReconciliation() {
+    if (this.reconcileInterval) {
+      clearInterval(this.reconcileInterval);
+      this.reconcileInterval = null;
+    }
+  }
+}
+
+module.exports = LedgerService;
\ No newline at end of file
@@ -0,0 +1,117 @@
+const { CRYPTO_SYMBOLS } = require('../utils/currencies');
+
+/**
+ * Circuit breaker for prices. A currency is tripped when its price is missing,
+ * older than the allowed staleness, or too far from a second provider's price,
+ * and betting in it stays suspended until its price is healthy again.
+ */
+class PriceHealthMonitor {
+  constructor(cryptoApi) {
+    this.cryptoApi = cryptoApi;
+    this.maxStalenessMs = parseInt(process.env.PRICE_MAX_STALENESS_MS) || 60000; // 1 minute
+    this.maxDeviation = process.env.PRICE_MAX_DEVIATION !== undefined
+      ? parseFloat(process.env.PRICE_MAX_DEVIATION)
+      : 0.05; // 5%
+    this.suspended = new Map(); // currency -> { reason, message, since }
+  }
+
+  /**
+   * Find why a currency's price cannot be trusted
+   * @param {Object} snapshot - The currency's entry from getPriceSnapshot
+   * @returns {Object|null} - `{ reason, message }`, or null if the price is healthy
+   */
+  diagnose(currency, snapshot, now = Date.now()) {
+    const symbol = currency.toUpperCase();
+
+    if (!(snapshot.price > 0)) {
+      return { reason: 'unavailable', message: `No ${symbol} price is available` };
+    }
+
+    const age = now - snapshot.updatedAt;
+    if (age > this.maxStalenessMs) {
+      return { reason: 'stale', message: `${symbol} price is ${Math.round(age / 1000)}s old` };
+    }
+
+    // Only a recent reference price is compared
+    const referenceAge = now - snapshot.referenceUpdatedAt;
+    if (this.maxDeviation > 0 && snapshot.deviation !== null && referenceAge <= this.maxStalenessMs &&
+        snapshot.deviation > this.maxDeviation) {
+      return {
+        reason: 'deviation',
+        message: `${symbol} prices from ${snapshot.source} and ${snapshot.referenceSource} differ by ${(snapshot.deviation * 100).toFixed(2)}%`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Re-check every currency and record which ones are suspended
+   * @returns {Object} - Currencies newly `suspended` and newly `resumed`
+   */
+  evaluate(now = Date.now()) {
+    const snapshot = this.cryptoApi.getPriceSnapshot();
+    const changes = { suspended: [], resumed: [] };
+
+    for (const currency of CRYPTO_SYMBOLS) {
+      const problem = this.diagnose(currency, snapshot[currency], now);
+      const current = this.suspended.get(currency);
+
+      if (problem) {
+        const state = {
+          reason: problem.reason,
+          message: problem.message,
+          since: current ? current.since : new Date(now)
+        };
+        this.suspended.set(currency, state);
+        if (!current || current.reason !== problem.reason) {
+          changes.suspended.push({ currency, ...state });
+        }
+      } else if (current) {
+        this.suspended.delete(currency);
+        changes.resumed.push({ currency, suspendedSince: current.since });
+      }
+    }
+
+    return changes;
+  }
+
+  isSuspended(currency) {
+    return this.suspended.has(currency.toLowerCase());
+  }
+
+  getSuspension(currency) {
+    return this.suspended.get(currency.toLowerCase()) || null;
+  }
+
+  /**
+   * List the suspended currencies
+   */
+  getSuspensions() {
+    return Array.from(this.suspended, ([currency, state]) => ({ currency, ...state }));
+  }
+
+  /**
+   * Get the breaker state of every currency
+   * @returns {Object} - Settings and per-currency betting state
+   */
+  getStatus() {
+    const snapshot = this.cryptoApi.getPriceSnapshot();
+    return {
+      maxStalenessMs: this.maxStalenessMs,
+      maxDeviation: this.maxDeviation,
+      currencies: Object.fromEntries(CRYPTO_SYMBOLS.map(currency => {
+        const suspension = this.suspended.get(currency);
+        return [currency, {
+          bettingSuspended: !!suspension,
+          reason: suspension ? suspension.reason : null,
+          message: suspension ? suspension.message : null,
+          suspendedSince: suspension ? suspension.since : null,
+          ...snapshot[currency]
+        }];
+      }))
+    };
+  }
+}
+
+module.exports = PriceHealthMonitor;
\ No newline at end of file
@@ -0,0 +1,110 @@
+const PriceSample = require('../models/PriceSample');
+const PriceCandle = require('../models/PriceCandle');
+const { GameError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Most candles returned by one history request
+const MAX_CANDLES = 1000;
+
+// Range returned when a history request gives neither from nor days
+const DEFAULT_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Price history kept locally: every price the game fetches is stored as a
+ * sample and rolled up into 1m, 1h and 1d OHLC candles as it arrives, so
+ * charts and audits see the same prices bets were converted at.
+ */
+class PriceHistoryService {
+  /**
+   * Store one fetch's prices and fold them into the candles
+   * @param {Object} prices - Price per currency symbol
+   * @param {string} source - Provider the prices came from
+   * @param {Date} timestamp - When the prices were fetched
+   */
+  async recordPrices(prices, source, timestamp = new Date()) {
+    const samples = Object.entries(prices)
+      .filter(([, price]) => price > 0)
+      .map(([currency, price]) => ({ currency, price, source, timestamp }));
+    if (samples.length === 0) {
+      return;
+    }
+
+    await PriceSample.insertMany(samples);
+
+    const updates = [];
+    for (const sample of samples) {
+      for (const interval of Object.keys(PriceCandle.INTERVALS)) {
+        updates.push({
+          updateOne: {
+            filter: {
+              currency: sample.currency,
+              interval: interval,
+              openTime: PriceCandle.getOpenTime(interval, timestamp)
+            },
+            update: {
+              $setOnInsert: { open: sample.price },
+              $max: { high: sample.price },
+              $min: { low: sample.price },
+              $set: { close: sample.price, closeTime: timestamp },
+              $inc: { samples: 1 }
+            },
+            upsert: true
+          }
+        });
+      }
+    }
+    await PriceCandle.bulkWrite(updates, { ordered: false });
+  }
+
+  /**
+   * Record prices without holding up the caller; failures are only logged
+   */
+  recordPricesInBackground(prices, source, timestamp = new Date()) {
+    this.recordPrices(prices, source, timestamp).catch(error => {
+      logger.error('Error recording price samples:', error.message);
+    });
+  }
+
+  /**
+   * Start of the range used when a history request gives no start: the
+   * default range, shortened to the most candles one request may return
+   * @param {string} interval - Candle length (1m, 1h, 1d)
+   * @param {Date} to - Latest candle open time
+   * @returns {Date}
+   */
+  getDefaultFrom(interval, to) {
+    const span = Math.min(DEFAULT_RANGE_MS, MAX_CANDLES * PriceCandle.INTERVALS[interval]);
+    return new Date(to.getTime() - span);
+  }
+
+  /**
+   * Get candles for a currency between two times, oldest first
+   * @param {string} currency - Currency symbol
+   * @param {string} interval - Candle length (1m, 1h, 1d)
+   * @param {Date} from - Earliest candle open time
+   * @param {Date} to - Latest candle open time
+   * @returns {Promise<Array>} - Candle summaries
+   */
+  async getCandles(currency, interval, from, to) {
+    if (from > to) {
+      throw new GameError('VALIDATION_ERROR', '"from" must be before "to"');
+    }
+    if ((to - from) / PriceCandle.INTERVALS[interval] > MAX_CANDLES) {
+      throw new GameError('VALIDATION_ERROR', `At most ${MAX_CANDLES} ${interval} candles can be requested at once`);
+    }
+
+    const candles = await PriceCandle.find({
+      currency: currency.toLowerCase(),
+      interval: interval,
+      openTime: {
+        $gte: PriceCandle.getOpenTime(interval, from),
+        $lte: to
+      }
+    })
+      .sort({ openTime: 1 });
+
+    return candles.map(candle => candle.getSummary());
+  }
+}
+
+module.exports = PriceHistoryService;
\ No newline at end of file
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const UsedPriceQuote = require('../models/UsedPriceQuote');
+const { GameError } = require('../utils/errors');
+const { readSecret } = require('../utils/secrets');
+const logger = require('../utils/logger');
+
+/**
+ * Signed, time-limited price quotes. A client takes a quote before betting and
+ * submits it with the bet, so the stake is converted at the price it was shown
+ * rather than whatever the price cache holds when the bet arrives. The token
+ * carries the price, player and expiry and an HMAC over them; each quote is
+ * recorded in the transaction that debits the bet it funds, so it cannot fund
+ * a second bet, and a quote the live price has moved away from is refused.
+ */
+class PriceQuoteService {
+  constructor(cryptoApi) {
+    this.cryptoApi = cryptoApi;
+    this.ttlSeconds = parseInt(process.env.PRICE_QUOTE_TTL_SECONDS) || 10;
+    this.required = process.env.REQUIRE_PRICE_QUOTE !== 'false';
+    this.maxDeviation = process.env.PRICE_QUOTE_MAX_DEVIATION !== undefined
+      ? parseFloat(process.env.PRICE_QUOTE_MAX_DEVIATION)
+      : 0.005; // 0.5%
+
+    this.secret = readSecret('PRICE_QUOTE_SECRET');
+    if (!this.secret) {
+      // Quotes then only verify on the process that issued them
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('PRICE_QUOTE_SECRET is not set, using a random secret for this process');
+    }
+    if (!this.required) {
+      logger.warn('REQUIRE_PRICE_QUOTE is false: bets without a quote are converted at the live price');
+    }
+  }
+
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', this.secret).update(encodedPayload).digest('base64url');
+  }
+
+  /**
+   * Issue a quote for the current price of a currency
+   * @param {string} currency - Currency symbol (btc, eth)
+   * @param {string} playerId - Player the quote is for; nobody else can use it
+   * @returns {Promise<Object>} - Quote token, price and expiry
+   */
+  async issueQuote(currency, playerId) {
+    currency = currency.toLowerCase();
+    const price = await this.cryptoApi.getPrice(currency);
+    if (!price || price <= 0) {
+      throw new GameError('PRICE_UNAVAILABLE', 'Unable to get current crypto price');
+    }
+
+    const issuedAt = Date.now();
+    const payload = {
+      quoteId: crypto.randomBytes(12).toString('hex'),
+      playerId: playerId,
+      currency: currency,
+      price: price,
+      issuedAt: issuedAt,
+      expiresAt: issuedAt + this.ttlSeconds * 1000
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+      quote: `${encodedPayload}.${this.sign(encodedPayload)}`,
+      currency: currency,
+      price: price,
+      expiresAt: new Date(payload.expiresAt)
+    };
+  }
+
+  /**
+   * Check a quote's signature, player, currency and expiry
+   * @param {string} token - Quote token from issueQuote
+   * @param {string} currency - Currency of the bet
+   * @param {string} playerId - Player placing the bet
+   * @returns {Object} - The quote payload
+   */
+  verifyQuote(token, currency, playerId) {
+    const [encodedPayload, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!encodedPayload || !signature) {
+      throw new GameError('INVALID_PRICE_QUOTE', 'Malformed price quote');
+    }
+
+    const expected = Buffer.from(this.sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new GameError('INVALID_PRICE_QUOTE', 'Price quote signature is invalid');
+    }
+
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+    if (!payload.quoteId || payload.playerId !== playerId) {
+      throw new GameError('INVALID_PRICE_QUOTE', 'Price quote was issued to another player');
+    }
+    if (payload.currency !== currency.toLowerCase()) {
+      throw new GameError('INVALID_PRICE_QUOTE', `Price quote is for ${payload.currency}, not ${currency}`);
+    }
+    if (payload.expiresAt <= Date.now()) {
+      throw new GameError('PRICE_QUOTE_EXPIRED', 'Price quote has expired, request a new one');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Refuse a price the live price has moved too far away from
+   * @param {Object} quoted - `{ currency, price }`, e.g. a quote payload
+   */
+  async checkDeviation(quoted) {
+    const livePrice = await this.cryptoApi.getPrice(quoted.currency);
+    if (!livePrice || livePrice <= 0) {
+      throw new GameError('PRICE_UNAVAILABLE', 'Unable to get current crypto price');
+    }
+
+    if (Math.abs(quoted.price - livePrice) / livePrice > this.maxDeviation) {
+      throw new GameError('PRICE_QUOTE_EXPIRED', 'The price has moved since the quote, request a new one');
+    }
+  }
+
+  /**
+   * Check the quote submitted with a bet without using it up
+   * @returns {Promise<Object|null>} - The quote payload, or null to convert at
+   * the live price (only when quotes are not required)
+   */
+  async checkBetQuote(token, currency, playerId) {
+    if (!token) {
+      if (this.required) {
+        throw new GameError('PRICE_QUOTE_REQUIRED', 'Bets must include a price quote');
+      }
+      return null;
+    }
+
+    const payload = this.verifyQuote(token, currency, playerId);
+    await this.checkDeviation(payload);
+    return payload;
+  }
+
+  /**
+   * Record a quote as used. Call it in the transaction that debits the bet,
+   * so a bet that fails leaves the quote unused.
+   * @param {Object} payload - Quote payload from checkBetQuote
+   * @param {Object} options - session
+   */
+  async consumeQuote(payload, options = {}) {
+    try {
+      await UsedPriceQuote.create([{
+        quoteId: payload.quoteId,
+        playerId: payload.playerId,
+        expiresAt: new Date(payload.expiresAt)
+      }], { session: options.session || null });
+    } catch (error) {
+      // A duplicate key, or a write conflict with another transaction using it
+      if (error.code !== 11000 && error.code !== 112) {
+        throw error;
+      }
+      throw new GameError('PRICE_QUOTE_USED', 'Price quote has already been used, request a new one');
+    }
+  }
+}
+
+module.exports = PriceQuoteService;
\ No newline at end of file
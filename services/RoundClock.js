@@ -0,0 +1,105 @@
+const CryptoUtils = require('../utils/crypto');
+
+/**
+ * Server-side clock of the active round. Every multiplier the game acts on
+ * (ticks, cashouts, auto-cashouts, state snapshots) is read from here so they
+ * all agree on how long the round has been running.
+ */
+class RoundClock {
+  constructor(curveName, growthFactor) {
+    this.curveName = curveName;
+    this.growthFactor = growthFactor;
+    this.reset();
+  }
+
+  /**
+   * Clear the clock between rounds
+   */
+  reset() {
+    this.activatedAt = null;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
+  }
+
+  /**
+   * Start timing a round from its activation
+   * @param {number} now - Activation timestamp in milliseconds
+   */
+  start(now = Date.now()) {
+    this.activatedAt = now;
+    this.pausedAt = null;
+    this.pausedDuration = 0;
+  }
+
+  /**
+   * Stop the clock; time spent paused does not move the multiplier
+   */
+  pause(now = Date.now()) {
+    if (this.isRunning()) {
+      this.pausedAt = now;
+    }
+  }
+
+  /**
+   * Resume a paused clock
+   */
+  resume(now = Date.now()) {
+    if (this.activatedAt !== null && this.pausedAt !== null) {
+      this.pausedDuration += now - this.pausedAt;
+      this.pausedAt = null;
+    }
+  }
+
+  isStarted() {
+    return this.activatedAt !== null;
+  }
+
+  isRunning() {
+    return this.activatedAt !== null && this.pausedAt === null;
+  }
+
+  /**
+   * Time the multiplier has been growing, excluding pauses
+   * @returns {number} - Elapsed time in milliseconds
+   */
+  getElapsedTime(now = Date.now()) {
+    if (this.activatedAt === null) {
+      return 0;
+    }
+    const until = this.pausedAt !== null ? this.pausedAt : now;
+    return Math.max(0, until - this.activatedAt - this.pausedDuration);
+  }
+
+  /**
+   * Multiplier at the current point of the round
+   * @returns {number} - Current multiplier
+   */
+  getMultiplier(now = Date.now()) {
+    return CryptoUtils.calculateMultiplier(this.getElapsedTime(now), this.growthFactor, this.curveName);
+  }
+
+  /**
+   * Running time left until the multiplier reaches a value
+   * @param {number} multiplier - Target multiplier, e.g. the crash point
+   * @returns {number} - Time in milliseconds
+   */
+  getTimeUntil(multiplier, now = Date.now()) {
+    const target = CryptoUtils.calculateTimeToMultiplier(multiplier, this.growthFactor, this.curveName);
+    return Math.max(0, target - this.getElapsedTime(now));
+  }
+
+  /**
+   * Snapshot for state responses
+   */
+  toJSON(now = Date.now()) {
+    return {
+      activatedAt: this.activatedAt,
+      elapsedTime: this.getElapsedTime(now),
+      pausedDuration: this.pausedDuration,
+      paused: this.pausedAt !== null,
+      multiplier: this.getMultiplier(now)
+    };
+  }
+}
+
+module.exports = RoundClock;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const CryptoUtils = require('../utils/crypto');
+const SeedChain = require('../models/SeedChain');
+const GameRound = require('../models/GameRound');
+const logger = require('../utils/logger');
+
+class SeedChainService {
+  constructor() {
+    this.chainLength = parseInt(process.env.SEED_CHAIN_LENGTH) || 10000;
+    this.chain = null;
+    this.seeds = [];
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Load the active seed chain, creating one if needed, and restore the
+   * position from the most recent round that used it
+   */
+  async init() {
+    let chain = await SeedChain.findOne({ status: 'active' }).sort({ createdAt: -1 });
+    if (!chain) {
+      chain = await this.createChain();
+    }
+
+    this.chain = chain;
+    this.seeds = CryptoUtils.generateHashChain(chain.terminalSeed, chain.length);
+
+    const lastRound = await GameRound.findOne({ chainId: chain.chainId })
+      .sort({ chainIndex: -1 })
+      .select('chainIndex');
+    this.nextIndex = lastRound ? lastRound.chainIndex + 1 : 0;
+
+    logger.info(`Seed chain ${chain.chainId} loaded at position ${this.nextIndex}/${chain.length}`);
+  }
+
+  /**
+   * Create and persist a new seed chain
+   * @returns {Promise<Object>} - The saved chain document
+   */
+  async createChain() {
+    const terminalSeed = CryptoUtils.generateSeed();
+    const seeds = CryptoUtils.generateHashChain(terminalSeed, this.chainLength);
+
+    const chain = new SeedChain({
+      chainId: CryptoUtils.generateRoundId(),
+      terminalSeed: terminalSeed,
+      length: this.chainLength,
+      headHash: CryptoUtils.hashSeed(seeds[0])
+    });
+
+    await chain.save();
+    logger.info(`New seed chain created: ${chain.chainId}, head hash: ${chain.headHash}`);
+
+    return chain;
+  }
+
+  /**
+   * Take the next seed from the chain
+   * @returns {Promise<Object>} - Seed, its commitment, the previous commitment and the chain position
+   */
+  async next() {
+    if (!this.chain) {
+      await this.init();
+    }
+
+    if (this.nextIndex >= this.chain.length) {
+      logger.warn(`Seed chain ${this.chain.chainId} exhausted, rotating to a new chain`);
+      await SeedChain.updateOne({ _id: this.chain._id }, { $set: { status: 'exhausted' } });
+      this.chain = null;
+      await this.init();
+    }
+
+    const chainIndex = this.nextIndex++;
+    const seed = this.seeds[chainIndex];
+
+    return {
+      chainId: this.chain.chainId,
+      chainIndex: chainIndex,
+      seed: seed,
+      hash: CryptoUtils.hashSeed(seed),
+      previousHash: chainIndex > 0 ? CryptoUtils.hashSeed(this.seeds[chainIndex - 1]) : null
+    };
+  }
+}
+
+module.exports = SeedChainService;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Session = require('../models/Session');
+const { GameError } = require('../utils/errors');
+const { readSecret } = require('../utils/secrets');
+const logger = require('../utils/logger');
+
+// Used when JWT_SECRET is not set; shared so every instance accepts the same tokens
+let generatedSecret = null;
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+const TOKEN_HEADER = base64UrlJson({ alg: 'HS256', typ: 'JWT' });
+
+/**
+ * Player sessions as HMAC-signed JWTs (HS256). The token names the player it
+ * was issued to, so REST routes and sockets act for that player instead of
+ * whatever player id a request carries. Every token is also recorded by its
+ * jti so it can be revoked before it expires.
+ */
+class SessionService extends EventEmitter {
+  constructor() {
+    super();
+    this.ttlSeconds = parseInt(process.env.SESSION_TTL_SECONDS) || 24 * 60 * 60; // 1 day
+
+    // Throws on an example value or a short secret, which would let anyone forge sessions
+    this.secret = readSecret('JWT_SECRET');
+    if (!this.secret) {
+      if (!generatedSecret) {
+        // Sessions then end when the process restarts
+        generatedSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('JWT_SECRET is not set, using a random secret for this process');
+      }
+      this.secret = generatedSecret;
+    }
+  }
+
+  sign(signingInput) {
+    return crypto.createHmac('sha256', this.secret).update(signingInput).digest('base64url');
+  }
+
+  /**
+   * Issue a session token for a player
+   * @param {Object} player - Player with playerId and username
+   * @returns {Promise<Object>} - Token, session id and expiry
+   */
+  async issueToken(player) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const claims = {
+      sub: player.playerId,
+      name: player.username,
+      jti: crypto.randomBytes(16).toString('hex'),
+      iat: issuedAt,
+      exp: issuedAt + this.ttlSeconds
+    };
+    const signingInput = `${TOKEN_HEADER}.${base64UrlJson(claims)}`;
+    const expiresAt = new Date(claims.exp * 1000);
+
+    await Session.create({
+      sessionId: claims.jti,
+      playerId: player.playerId,
+      expiresAt: expiresAt
+    });
+
+    return {
+      token: `${signingInput}.${this.sign(signingInput)}`,
+      sessionId: claims.jti,
+      expiresAt: expiresAt
+    };
+  }
+
+  /**
+   * Check a token's signature and expiry
+   * @param {string} token - Token from issueToken
+   * @returns {Object} - The session: playerId, username, sessionId and expiry
+   */
+  verifyToken(token) {
+    const [header, payload, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!header || !payload || !signature) {
+      throw new GameError('NOT_AUTHENTICATED', 'Malformed session token');
+    }
+
+    // Only our own header is accepted, which rules out "alg": "none" and friends
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (header !== TOKEN_HEADER || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new GameError('NOT_AUTHENTICATED', 'Session token is invalid');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!(claims.exp * 1000 > Date.now())) {
+      throw new GameError('NOT_AUTHENTICATED', 'Session has expired, sign in again');
+    }
+
+    return {
+      playerId: claims.sub,
+      username: claims.name,
+      sessionId: claims.jti,
+      expiresAt: new Date(claims.exp * 1000)
+    };
+  }
+
+  /**
+   * Verify a token and check that its session has not been revoked
+   * @returns {Promise<Object>} - The session, as from verifyToken
+   */
+  async authenticate(token) {
+    const session = this.verifyToken(token);
+
+    const active = await Session.exists({ sessionId: session.sessionId, revokedAt: null });
+    if (!active) {
+      throw new GameError('NOT_AUTHENTICATED', 'Session has been revoked, sign in again');
+    }
+    return session;
+  }
+
+  /**
+   * Revoke one session
+   */
+  async revokeSession(playerId, sessionId) {
+    await Session.updateOne({ sessionId: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    this.emit('sessionsRevoked', { playerId: playerId, sessionIds: [sessionId] });
+  }
+
+  /**
+   * Revoke every open session of a player
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokePlayerSessions(playerId) {
+    const open = await Session.find({ playerId: playerId, revokedAt: null }).select('sessionId');
+    const sessionIds = open.map(session => session.sessionId);
+
+    await Session.updateMany(
+      { sessionId: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    this.emit('sessionsRevoked', { playerId: playerId, sessionIds: sessionIds });
+    return sessionIds.length;
+  }
+}
+
+module.exports = SessionService;
\ No newline at end of file
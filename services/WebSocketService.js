@@ -1,3 +1,7 @@
+const CryptoUtils = require('../utils/crypto');
+const { GameError, toErrorResponse } = require('../utils/errors');
+const IdempotencyService = require('./IdempotencyService');
+const { sessions, authenticateSocket } = require('../utils/auth');
 const logger = require('../utils/logger');
 
 class WebSocketService {
@@ -6,15 +10,21 @@ class WebSocketService {
     this.gameService = gameService;
     this.connectedClients = new Map(); // socketId -> playerData
     this.playerSockets = new Map(); // playerId -> socketId
+    this.idempotency = new IdempotencyService();
+    this.unsubscribePrices = null;
 
     this.setupEventHandlers();
     this.setupGameEventListeners();
+    this.setupSessionListeners();
   }
 
   /**
    * Setup Socket.IO event handlers
    */
   setupEventHandlers() {
+    // Check the session token sent with the handshake
+    this.io.use(authenticateSocket);
+
     this.io.on('connection', (socket) => {
       logger.info(`Client connected: ${socket.id}`);
 
@@ -33,6 +43,16 @@ class WebSocketService {
         this.handleCashout(socket, data);
       });
 
+      // Handle cancellation of a bet queued for the next round
+      socket.on('cancelQueuedBet', (data) => {
+        this.handleCancelQueuedBet(socket, data);
+      });
+
+      // Handle price quote request
+      socket.on('requestPriceQuote', (data) => {
+        this.handlePriceQuote(socket, data);
+      });
+
       // Handle disconnect
       socket.on('disconnect', () => {
         this.handleDisconnect(socket);
@@ -40,6 +60,24 @@ class WebSocketService {
 
       // Send current game state to new connection
       this.sendGameState(socket);
+
+      // Prices are only pushed on change, so send the current ones now
+      this.sendCryptoPrices(socket);
+    });
+  }
+
+  /**
+   * Disconnect sockets whose session has been revoked
+   */
+  setupSessionListeners() {
+    sessions.on('sessionsRevoked', ({ playerId, sessionIds }) => {
+      for (const socket of this.io.sockets.sockets.values()) {
+        const player = socket.data.player;
+        if (player && player.playerId === playerId && sessionIds.includes(player.sessionId)) {
+          socket.emit('sessionRevoked', { message: 'Your session has ended, sign in again' });
+          socket.disconnect(true);
+        }
+      }
     });
   }
 
@@ -52,8 +90,9 @@ class WebSocketService {
       this.broadcastToAll('roundStart', {
         roundId: data.roundId,
         startTime: data.startTime,
-        seed: data.seed,
         hash: data.hash,
+        previousHash: data.previousHash,
+        salt: data.salt,
         status: 'waiting'
       });
     });
@@ -63,6 +102,7 @@ class WebSocketService {
       this.broadcastToAll('roundActivated', {
         roundId: data.roundId,
         startTime: data.startTime,
+        clientSeed: data.clientSeed,
         status: 'active'
       });
     });
@@ -82,6 +122,11 @@ class WebSocketService {
         roundId: data.roundId,
         crashPoint: data.crashPoint,
         finalMultiplier: data.finalMultiplier,
+        seed: data.seed,
+        hash: data.hash,
+        previousHash: data.previousHash,
+        salt: data.salt,
+        clientSeed: data.clientSeed,
         statistics: data.statistics
       });
     });
@@ -90,11 +135,34 @@ class WebSocketService {
     this.gameService.on('betPlaced', (data) => {
       this.broadcastToAll('betPlaced', {
         roundId: data.roundId,
+        betId: data.betId,
         playerId: data.playerId,
         username: data.username,
         usdAmount: data.usdAmount,
         cryptoAmount: data.cryptoAmount,
-        currency: data.currency
+        currency: data.currency,
+        autoCashoutAt: data.autoCashoutAt
+      });
+    });
+
+    // Bet queued for the next round event
+    this.gameService.on('betQueued', (data) => {
+      this.broadcastToAll('betQueued', {
+        queueId: data.queueId,
+        playerId: data.playerId,
+        username: data.username,
+        usdAmount: data.usdAmount,
+        currency: data.currency,
+        autoCashoutAt: data.autoCashoutAt
+      });
+    });
+
+    // Queued bet cancelled event, only the owner needs to know
+    this.gameService.on('queuedBetCancelled', (data) => {
+      this.sendToPlayer(data.playerId, 'queuedBetCancelled', {
+        queueId: data.queueId,
+        usdAmount: data.usdAmount,
+        reason: data.reason || null
       });
     });
 
@@ -102,28 +170,63 @@ class WebSocketService {
     this.gameService.on('cashoutProcessed', (data) => {
       this.broadcastToAll('cashoutProcessed', {
         roundId: data.roundId,
+        betId: data.betId,
         playerId: data.playerId,
         username: data.username,
         multiplier: data.multiplier,
+        fraction: data.fraction,
         payoutCrypto: data.payoutCrypto,
         payoutUsd: data.payoutUsd,
-        currency: data.currency
+        remainingCryptoAmount: data.remainingCryptoAmount,
+        currency: data.currency,
+        auto: data.auto
+      });
+    });
+
+    // Betting suspended in a currency whose prices cannot be trusted
+    this.gameService.on('bettingSuspended', (data) => {
+      this.broadcastToAll('bettingSuspended', {
+        currency: data.currency,
+        reason: data.reason,
+        message: data.message,
+        since: data.since
+      });
+    });
+
+    // Betting resumed once the currency's prices are healthy again
+    this.gameService.on('bettingResumed', (data) => {
+      this.broadcastToAll('bettingResumed', {
+        currency: data.currency,
+        suspendedSince: data.suspendedSince
       });
     });
   }
 
   /**
-   * Handle player authentication
+   * Handle player authentication; the player is the one the handshake's
+   * session token was issued to
    */
   async handleAuthentication(socket, data) {
     try {
-      const { playerId, username } = data;
-
-      if (!playerId || !username) {
-        socket.emit('error', { message: 'Player ID and username are required' });
+      if (!socket.data.player) {
+        this.sendError(socket, new GameError('NOT_AUTHENTICATED', 'Connect with a session token to play'));
         return;
       }
 
+      const { playerId, username } = socket.data.player;
+      const { clientSeed } = data || {};
+
+      // Optionally set the client seed mixed into future crash points
+      let fairness = null;
+      if (clientSeed !== undefined) {
+        try {
+          fairness = await this.gameService.setClientSeed(playerId, username, clientSeed);
+        } catch (error) {
+          this.sendError(socket, error);
+          return;
+        }
+      }
+
       // Store player data
       this.connectedClients.set(socket.id, { playerId, username });
       this.playerSockets.set(playerId, socket.id);
@@ -135,6 +238,7 @@ class WebSocketService {
       socket.emit('authenticated', {
         playerId,
         username,
+        clientSeed: fairness ? fairness.clientSeed : undefined,
         connectedPlayers: this.gameService.getConnectedPlayersCount()
       });
 
@@ -149,7 +253,7 @@ class WebSocketService {
 
     } catch (error) {
       logger.error('Authentication error:', error);
-      socket.emit('error', { message: 'Authentication failed' });
+      this.sendError(socket, error, 'Authentication failed');
     }
   }
 
@@ -160,34 +264,54 @@ class WebSocketService {
     try {
       const playerData = this.connectedClients.get(socket.id);
       if (!playerData) {
-        socket.emit('error', { message: 'Not authenticated' });
+        this.sendError(socket, new GameError('NOT_AUTHENTICATED', 'Not authenticated'));
         return;
       }
 
-      const { usdAmount, currency } = data;
+      const { usdAmount, currency, autoCashoutAt, requestId } = data || {};
+      const fundingSource = (data && data.fundingSource) || 'usd';
+      const priceQuote = (data && data.priceQuote) || null;
 
-      // Validate input
-      if (!usdAmount || usdAmount <= 0) {
-        socket.emit('error', { message: 'Invalid bet amount' });
-        return;
-      }
-
-      if (!currency || !['btc', 'eth'].includes(currency.toLowerCase())) {
-        socket.emit('error', { message: 'Invalid currency' });
-        return;
-      }
-
-      // Place bet through game service
-      const result = await this.gameService.placeBet(
+      // Place bet through game service; it validates the input. A re-emit
+      // with the same requestId gets the original result back.
+      const { result, replayed } = await this.idempotency.run({
+        scope: 'bet',
+        playerId: playerData.playerId,
+        key: requestId,
+        payload: { usdAmount, currency, autoCashoutAt, fundingSource }
+      }, () => this.gameService.placeBet(
         playerData.playerId,
         playerData.username,
         usdAmount,
-        currency
-      );
+        currency,
+        autoCashoutAt,
+        fundingSource,
+        priceQuote
+      ));
+
+      if (result.queued) {
+        socket.emit('betQueued', {
+          success: true,
+          requestId: requestId,
+          replayed: replayed,
+          queueId: result.queueId,
+          usdAmount: result.usdAmount,
+          currency: result.currency,
+          fundingSource: result.fundingSource,
+          autoCashoutAt: result.autoCashoutAt,
+          playerBalance: result.playerBalance
+        });
+
+        logger.info(`Bet queued via WebSocket: ${playerData.username} bet $${usdAmount} in ${currency}`);
+        return;
+      }
 
       // Send success response
       socket.emit('betPlaced', {
         success: true,
+        requestId: requestId,
+        replayed: replayed,
+        betId: result.betId,
         betData: result.betData,
         playerBalance: result.playerBalance
       });
@@ -196,7 +320,7 @@ class WebSocketService {
 
     } catch (error) {
       logger.error('Bet placement error:', error);
-      socket.emit('error', { message: error.message });
+      this.sendError(socket, error, 'Failed to place bet');
     }
   }
 
@@ -207,22 +331,37 @@ class WebSocketService {
     try {
       const playerData = this.connectedClients.get(socket.id);
       if (!playerData) {
-        socket.emit('error', { message: 'Not authenticated' });
+        this.sendError(socket, new GameError('NOT_AUTHENTICATED', 'Not authenticated'));
         return;
       }
 
-      // Process cashout through game service
-      const result = await this.gameService.processCashout(
+      const { betId = null, fraction = 1, requestId } = data || {};
+
+      // Process cashout through game service; a re-emit with the same
+      // requestId gets the original result back
+      const { result, replayed } = await this.idempotency.run({
+        scope: 'cashout',
+        playerId: playerData.playerId,
+        key: requestId,
+        payload: { betId, fraction }
+      }, () => this.gameService.processCashout(
         playerData.playerId,
-        playerData.username
-      );
+        playerData.username,
+        betId,
+        fraction
+      ));
 
       // Send success response
       socket.emit('cashoutProcessed', {
         success: true,
+        requestId: requestId,
+        replayed: replayed,
+        betId: result.betId,
         multiplier: result.multiplier,
+        fraction: result.fraction,
         payoutCrypto: result.payoutCrypto,
         payoutUsd: result.payoutUsd,
+        remainingCryptoAmount: result.remainingCryptoAmount,
         playerBalance: result.playerBalance
       });
 
@@ -230,7 +369,63 @@ class WebSocketService {
 
     } catch (error) {
       logger.error('Cashout error:', error);
-      socket.emit('error', { message: error.message });
+      this.sendError(socket, error, 'Failed to process cashout');
+    }
+  }
+
+  /**
+   * Handle cancellation of a queued bet
+   */
+  async handleCancelQueuedBet(socket, data) {
+    try {
+      const playerData = this.connectedClients.get(socket.id);
+      if (!playerData) {
+        this.sendError(socket, new GameError('NOT_AUTHENTICATED', 'Not authenticated'));
+        return;
+      }
+
+      const { queueId } = data || {};
+      if (!queueId) {
+        this.sendError(socket, new GameError('VALIDATION_ERROR', 'queueId is required'));
+        return;
+      }
+
+      const result = await this.gameService.cancelQueuedBet(playerData.playerId, queueId);
+
+      socket.emit('queuedBetCancelled', {
+        success: true,
+        queueId: result.queueId,
+        playerBalance: result.playerBalance
+      });
+
+    } catch (error) {
+      logger.error('Cancel queued bet error:', error);
+      this.sendError(socket, error, 'Failed to cancel queued bet');
+    }
+  }
+
+  /**
+   * Handle price quote request
+   */
+  async handlePriceQuote(socket, data) {
+    try {
+      if (!socket.data.player) {
+        this.sendError(socket, new GameError('NOT_AUTHENTICATED', 'Sign in to get a price quote'));
+        return;
+      }
+
+      const { currency } = data || {};
+      if (!CryptoUtils.isValidCurrency(currency)) {
+        this.sendError(socket, new GameError('INVALID_CURRENCY', 'Invalid currency'));
+        return;
+      }
+
+      const quote = await this.gameService.priceQuotes.issueQuote(currency, socket.data.player.playerId);
+      socket.emit('priceQuote', quote);
+
+    } catch (error) {
+      logger.error('Price quote error:', error);
+      this.sendError(socket, error, 'Failed to get price quote');
     }
   }
 
@@ -279,6 +474,14 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Send an error to a socket with the same code the REST API would return
+   */
+  sendError(socket, error, fallbackMessage) {
+    const { body } = toErrorResponse(error, fallbackMessage);
+    socket.emit('error', { message: body.error, code: body.code });
+  }
+
   /**
    * Send message to specific player
    */
@@ -333,7 +536,7 @@ class WebSocketService {
       socket.emit('roundHistory', history);
     } catch (error) {
       logger.error('Error sending round history:', error);
-      socket.emit('error', { message: 'Failed to get round history' });
+      this.sendError(socket, error, 'Failed to get round history');
     }
   }
 
@@ -346,30 +549,32 @@ class WebSocketService {
       socket.emit('cryptoPrices', prices);
     } catch (error) {
       logger.error('Error sending crypto prices:', error);
-      socket.emit('error', { message: 'Failed to get crypto prices' });
+      this.sendError(socket, error, 'Failed to get crypto prices');
     }
   }
 
   /**
    * Broadcast crypto prices to all clients
    */
-  async broadcastCryptoPrices() {
-    try {
-      const prices = await this.gameService.cryptoApi.getAllPrices();
-      this.broadcastToAll('cryptoPrices', prices);
-    } catch (error) {
-      logger.error('Error broadcasting crypto prices:', error);
-    }
+  broadcastCryptoPrices(prices) {
+    this.broadcastToAll('cryptoPrices', prices);
   }
 
   /**
-   * Start periodic crypto price updates
+   * Push crypto prices to all clients whenever they change
    */
   startCryptoPriceUpdates() {
-    // Update crypto prices every 10 seconds
-    setInterval(() => {
-      this.broadcastCryptoPrices();
-    }, 10000);
+    this.stopCryptoPriceUpdates();
+    this.unsubscribePrices = this.gameService.cryptoApi.subscribe((prices) => {
+      this.broadcastCryptoPrices(prices);
+    });
+  }
+
+  stopCryptoPriceUpdates() {
+    if (this.unsubscribePrices) {
+      this.unsubscribePrices();
+      this.unsubscribePrices = null;
+    }
   }
 }
 
@@ -0,0 +1,363 @@
+const CryptoApiService = require('./CryptoApiService');
+const LedgerService = require('./LedgerService');
+const { createPayoutAdapter } = require('./payouts');
+const Player = require('../models/Player');
+const Transaction = require('../models/Transaction');
+const { GameError } = require('../utils/errors');
+const { withTransaction } = require('../utils/db');
+const logger = require('../utils/logger');
+
+// UTC day a withdrawal counts against, e.g. 2024-01-01
+function getWithdrawalDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Withdrawals move funds out of the game in two steps: the player's request
+ * puts the amount on hold (pending), and an admin approves it, which sends the
+ * payout, or rejects it, which returns the funds. A sent payout is recorded
+ * (paying) before its ledger entry is posted (completed), so a withdrawal
+ * whose money has left is completed later if posting fails.
+ */
+class WithdrawalService {
+  constructor(payoutAdapter = createPayoutAdapter()) {
+    this.payoutAdapter = payoutAdapter;
+    this.cryptoApi = CryptoApiService.getInstance();
+    this.ledger = new LedgerService();
+    this.minUsd = parseFloat(process.env.WITHDRAWAL_MIN_USD) || 10;
+    this.dailyLimitUsd = parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT_USD) || 5000;
+    this.completionInterval = null;
+  }
+
+  /**
+   * Request a withdrawal; the amount is debited and held until it is reviewed
+   * @returns {Promise<Object>} - The pending transaction and the new balance
+   */
+  async requestWithdrawal(playerId, currency, amount, destination) {
+    const player = await Player.findOne({ playerId: playerId });
+    if (!player) {
+      throw new GameError('PLAYER_NOT_FOUND', 'Player not found');
+    }
+
+    // Value the withdrawal in USD for the limits
+    let priceAtTime = 1;
+    if (currency !== 'usd') {
+      priceAtTime = await this.cryptoApi.getPrice(currency);
+      if (!priceAtTime || priceAtTime <= 0) {
+        throw new GameError('PRICE_UNAVAILABLE', 'Unable to get current crypto price');
+      }
+    }
+    const usdAmount = parseFloat((amount * priceAtTime).toFixed(2));
+
+    if (usdAmount < this.minUsd) {
+      throw new GameError('WITHDRAWAL_LIMIT_EXCEEDED', `Minimum withdrawal is $${this.minUsd}`);
+    }
+
+    const transaction = await withTransaction(async (session) => {
+      await this.reserveDailyLimit(player, usdAmount, session);
+      await player.updateWallet(currency, -amount, { session: session });
+
+      const [withdrawal] = await Transaction.create([{
+        transactionId: Transaction.generateTransactionId(),
+        playerId: playerId,
+        username: player.username,
+        transactionType: 'withdrawal',
+        currency: currency,
+        usdAmount: usdAmount,
+        cryptoAmount: currency !== 'usd' ? amount : 0,
+        priceAtTime: priceAtTime,
+        transactionHash: Transaction.generateTransactionHash({
+          playerId: playerId,
+          transactionType: 'withdrawal',
+          usdAmount: usdAmount,
+          cryptoAmount: currency !== 'usd' ? amount : 0
+        }),
+        status: 'pending',
+        ...player.getBalanceChange(currency, -amount),
+        metadata: {
+          amount: amount,
+          destination: destination
+        }
+      }], { session: session });
+
+      await this.ledger.post('withdrawal', [{
+        from: LedgerService.player(playerId),
+        to: LedgerService.pending(),
+        currency: currency,
+        amount: amount
+      }], { session: session, transactionId: withdrawal.transactionId });
+
+      return withdrawal;
+    });
+
+    logger.info(`Withdrawal requested: ${player.username} ${amount} ${currency} to ${destination}`);
+
+    return {
+      success: true,
+      transaction: transaction.getSummary(),
+      playerBalance: player.wallet
+    };
+  }
+
+  /**
+   * Count a withdrawal against the player's daily limit. The count only grows
+   * through a conditional update in the withdrawal's transaction, so parallel
+   * requests cannot together take the player over the limit.
+   */
+  async reserveDailyLimit(player, usdAmount, session) {
+    const limit = player.withdrawalLimitUsd !== null && player.withdrawalLimitUsd !== undefined
+      ? player.withdrawalLimitUsd
+      : this.dailyLimitUsd;
+    const today = getWithdrawalDay();
+
+    // The first withdrawal of a day starts a new count
+    await Player.updateOne(
+      { _id: player._id, withdrawalDay: { $ne: today } },
+      { $set: { withdrawalDay: today, withdrawnTodayUsd: 0 } },
+      { session: session }
+    );
+
+    const reserved = await Player.findOneAndUpdate(
+      { _id: player._id, withdrawalDay: today, withdrawnTodayUsd: { $lte: limit - usdAmount } },
+      { $inc: { withdrawnTodayUsd: usdAmount } },
+      { new: true, session: session }
+    );
+
+    if (!reserved) {
+      const usage = await Player.findOne({ _id: player._id }).select('withdrawnTodayUsd').session(session);
+      throw new GameError(
+        'WITHDRAWAL_LIMIT_EXCEEDED',
+        `Daily withdrawal limit of $${limit} exceeded ($${usage.withdrawnTodayUsd.toFixed(2)} already withdrawn)`
+      );
+    }
+  }
+
+  /**
+   * Approve a pending withdrawal and send the payout. If the payout fails the
+   * withdrawal is reversed.
+   */
+  async approveWithdrawal(transactionId, reviewer) {
+    // Claim the withdrawal so it cannot be approved or rejected twice
+    const withdrawal = await Transaction.findOneAndUpdate(
+      { transactionId: transactionId, transactionType: 'withdrawal', status: 'pending' },
+      { $set: { status: 'approved', 'metadata.reviewedBy': reviewer, 'metadata.reviewedAt': new Date() } },
+      { new: true }
+    );
+    if (!withdrawal) {
+      throw await this.notPendingError(transactionId);
+    }
+
+    const amount = withdrawal.metadata.amount;
+
+    let payout;
+    try {
+      payout = await this.payoutAdapter.sendPayout({
+        transactionId: transactionId,
+        playerId: withdrawal.playerId,
+        currency: withdrawal.currency,
+        amount: amount,
+        destination: withdrawal.metadata.destination
+      });
+    } catch (error) {
+      logger.error(`Payout for withdrawal ${transactionId} failed:`, error);
+      await this.reverseWithdrawal(withdrawal, 'approved', {
+        'metadata.failureReason': `Payout failed: ${error.message}`
+      });
+      throw new GameError('PAYOUT_FAILED', 'Payout failed, the withdrawal was reversed');
+    }
+
+    // The money has left: record that first, on its own
+    let paying;
+    try {
+      paying = await Transaction.findOneAndUpdate(
+        { _id: withdrawal._id, status: 'approved' },
+        {
+          $set: {
+            status: 'paying',
+            'metadata.payoutAdapter': this.payoutAdapter.name,
+            'metadata.payoutReference': payout.reference
+          }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error(`Withdrawal ${transactionId} was paid out (${payout.reference}) but the payout could not be recorded:`, error);
+      throw error;
+    }
+
+    let completed = paying;
+    try {
+      completed = await this.completeWithdrawal(paying) || paying;
+    } catch (error) {
+      logger.error(`Withdrawal ${transactionId} was paid out (${payout.reference}) but not completed, it will be retried:`, error);
+    }
+
+    logger.info(`Withdrawal ${transactionId} approved by ${reviewer}, payout ${payout.reference}`);
+
+    return {
+      success: true,
+      transaction: completed.getSummary(),
+      payoutReference: payout.reference
+    };
+  }
+
+  /**
+   * Post the ledger entry of a paid-out withdrawal and mark it completed.
+   * Claiming the paying status in the same transaction makes it safe to run
+   * more than once.
+   * @returns {Promise<Object|null>} - The completed transaction, or null if it was no longer paying
+   */
+  async completeWithdrawal(withdrawal) {
+    return withTransaction(async (session) => {
+      const completed = await Transaction.findOneAndUpdate(
+        { _id: withdrawal._id, status: 'paying' },
+        { $set: { status: 'completed' } },
+        { new: true, session: session }
+      );
+      if (!completed) {
+        return null;
+      }
+
+      await this.ledger.post('withdrawal', [{
+        from: LedgerService.pending(),
+        to: LedgerService.external(),
+        currency: withdrawal.currency,
+        amount: withdrawal.metadata.amount
+      }], { session: session, transactionId: withdrawal.transactionId });
+
+      return completed;
+    });
+  }
+
+  /**
+   * Complete every withdrawal that was paid out but not yet completed
+   * @returns {Promise<number>} - How many were completed
+   */
+  async completePaidWithdrawals() {
+    const paying = await Transaction.find({ transactionType: 'withdrawal', status: 'paying' });
+
+    let completedCount = 0;
+    for (const withdrawal of paying) {
+      try {
+        if (await this.completeWithdrawal(withdrawal)) {
+          completedCount++;
+          logger.info(`Withdrawal ${withdrawal.transactionId} completed after payout ${withdrawal.metadata.payoutReference}`);
+        }
+      } catch (error) {
+        logger.error(`Error completing withdrawal ${withdrawal.transactionId}:`, error);
+      }
+    }
+    return completedCount;
+  }
+
+  /**
+   * Periodically complete paid-out withdrawals
+   */
+  startCompletionRetry(intervalMs = parseInt(process.env.WITHDRAWAL_RETRY_INTERVAL) || 60 * 1000) {
+    this.stopCompletionRetry();
+    this.completionInterval = setInterval(() => {
+      this.completePaidWithdrawals().catch(error => {
+        logger.error('Completing paid withdrawals failed:', error);
+      });
+    }, intervalMs);
+  }
+
+  stopCompletionRetry() {
+    if (this.completionInterval) {
+      clearInterval(this.completionInterval);
+      this.completionInterval = null;
+    }
+  }
+
+  /**
+   * Reject a pending withdrawal and return the held funds
+   */
+  async rejectWithdrawal(transactionId, reviewer, reason = null) {
+    const withdrawal = await Transaction.findOne({ transactionId: transactionId, transactionType: 'withdrawal' });
+    if (!withdrawal) {
+      throw new GameError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found');
+    }
+
+    const rejected = await this.reverseWithdrawal(withdrawal, 'pending', {
+      'metadata.reviewedBy': reviewer,
+      'metadata.reviewedAt': new Date(),
+      'metadata.failureReason': reason || 'Rejected'
+    });
+    if (!rejected) {
+      throw new GameError('WITHDRAWAL_NOT_PENDING', 'Withdrawal has already been reviewed');
+    }
+
+    logger.info(`Withdrawal ${transactionId} rejected by ${reviewer}`);
+
+    return {
+      success: true,
+      transaction: rejected.getSummary()
+    };
+  }
+
+  /**
+   * Mark a withdrawal failed and return the held funds to the player
+   * @param {string} fromStatus - Status the withdrawal must still have
+   * @returns {Promise<Object|null>} - The failed transaction, or null if its status had changed
+   */
+  async reverseWithdrawal(withdrawal, fromStatus, metadata) {
+    const amount = withdrawal.metadata.amount;
+    const player = await Player.findOne({ playerId: withdrawal.playerId });
+
+    return withTransaction(async (session) => {
+      const failed = await Transaction.findOneAndUpdate(
+        { _id: withdrawal._id, status: fromStatus },
+        { $set: { status: 'failed', ...metadata } },
+        { new: true, session: session }
+      );
+      if (!failed) {
+        return null;
+      }
+
+      await player.updateWallet(withdrawal.currency, amount, { session: session });
+
+      // A returned withdrawal no longer counts against the limit of its day
+      await Player.updateOne(
+        { _id: player._id, withdrawalDay: getWithdrawalDay(withdrawal.timestamp) },
+        { $inc: { withdrawnTodayUsd: -withdrawal.usdAmount } },
+        { session: session }
+      );
+
+      await this.ledger.post('refund', [{
+        from: LedgerService.pending(),
+        to: LedgerService.player(withdrawal.playerId),
+        currency: withdrawal.currency,
+        amount: amount
+      }], { session: session, transactionId: withdrawal.transactionId });
+
+      return failed;
+    });
+  }
+
+  /**
+   * Build the error for a withdrawal that cannot be reviewed
+   */
+  async notPendingError(transactionId) {
+    const exists = await Transaction.exists({ transactionId: transactionId, transactionType: 'withdrawal' });
+    return exists
+      ? new GameError('WITHDRAWAL_NOT_PENDING', 'Withdrawal has already been reviewed')
+      : new GameError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found');
+  }
+
+  /**
+   * List withdrawals waiting for review, oldest first
+   */
+  async getPendingWithdrawals(limit = 50) {
+    const withdrawals = await Transaction.find({ transactionType: 'withdrawal', status: 'pending' })
+      .sort({ timestamp: 1 })
+      .limit(limit);
+
+    return withdrawals.map(withdrawal => ({
+      ...withdrawal.getSummary(),
+      amount: withdrawal.metadata.amount,
+      destination: withdrawal.metadata.destination
+    }));
+  }
+}
+
+module.exports = WithdrawalService;
\ No newline at end of file
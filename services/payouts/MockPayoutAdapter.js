@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Payout adapter that pays nothing out, for development and offline testing.
+ * Destinations starting with "fail" are rejected so the failure path can be
+ * exercised too.
+ */
+class MockPayoutAdapter {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  /**
+   * Send a payout
+   * @param {Object} payout - transactionId, playerId, currency, amount, destination
+   * @returns {Promise<Object>} - Payout reference
+   */
+  async sendPayout(payout) {
+    if (String(payout.destination).startsWith('fail')) {
+      throw new Error(`Mock payout to ${payout.destination} rejected`);
+    }
+
+    const reference = `mock_${crypto.randomBytes(8).toString('hex')}`;
+    logger.info(`Mock payout ${reference}: ${payout.amount} ${payout.currency} to ${payout.destination}`);
+
+    return { reference: reference };
+  }
+}
+
+module.exports = MockPayoutAdapter;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const MockPayoutAdapter = require('./MockPayoutAdapter');
+
+// Available payout adapters by name; real payment rails register here
+const adapters = {
+  mock: MockPayoutAdapter
+};
+
+/**
+ * Create the payout adapter selected by PAYOUT_ADAPTER (mock by default)
+ * @param {string} name - Adapter name
+ * @returns {Object} - Adapter with an async sendPayout(payout) method
+ */
+function createPayoutAdapter(name = process.env.PAYOUT_ADAPTER || 'mock') {
+  const Adapter = adapters[name];
+  if (!Adapter) {
+    throw new Error(`Unknown payout adapter: ${name}`);
+  }
+  return new Adapter();
+}
+
+module.exports = {
+  createPayoutAdapter
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+const axios = require('axios');
+const { getProviderId } = require('../../utils/currencies');
+
+/**
+ * Prices from a Binance-style ticker API (GET /api/v3/ticker/price), quoted
+ * against a USD stablecoin
+ */
+class BinanceProvider {
+  constructor(options = {}) {
+    this.name = 'binance';
+    this.baseUrl = process.env.BINANCE_API_URL || 'https://api.binance.com';
+    this.quoteAsset = process.env.BINANCE_QUOTE_ASSET || 'USDT';
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Fetch USD prices
+   * @param {Array<string>} currencies - Currency symbols (btc, eth)
+   * @returns {Promise<Object>} - Price per currency
+   */
+  async fetchPrices(currencies) {
+    const symbols = currencies.map(currency => `${getProviderId(currency, 'binance')}${this.quoteAsset}`);
+    const response = await axios.get(`${this.baseUrl}/api/v3/ticker/price`, {
+      params: {
+        symbols: JSON.stringify(symbols)
+      },
+      timeout: this.timeout
+    });
+
+    const tickers = Array.isArray(response.data) ? response.data : [];
+    const prices = {};
+    currencies.forEach((currency, index) => {
+      const ticker = tickers.find(item => item.symbol === symbols[index]);
+      const price = ticker ? parseFloat(ticker.price) : NaN;
+      if (!(price > 0)) {
+        throw new Error(`Invalid response format from Binance API for ${currency}`);
+      }
+      prices[currency] = price;
+    });
+    return prices;
+  }
+}
+
+module.exports = BinanceProvider;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const axios = require('axios');
+const { getProviderId } = require('../../utils/currencies');
+
+/**
+ * Prices from the CoinGecko simple price API
+ */
+class CoinGeckoProvider {
+  constructor(options = {}) {
+    this.name = 'coingecko';
+    this.baseUrl = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Fetch USD prices
+   * @param {Array<string>} currencies - Currency symbols (btc, eth)
+   * @returns {Promise<Object>} - Price per currency
+   */
+  async fetchPrices(currencies) {
+    const response = await axios.get(`${this.baseUrl}/simple/price`, {
+      params: {
+        ids: currencies.map(currency => getProviderId(currency, 'coingecko')).join(','),
+        vs_currencies: 'usd',
+        include_24hr_change: false
+      },
+      timeout: this.timeout
+    });
+
+    const prices = {};
+    for (const currency of currencies) {
+      const coin = response.data && response.data[getProviderId(currency, 'coingecko')];
+      if (!coin || !coin.usd) {
+        throw new Error(`Invalid response format from CoinGecko API for ${currency}`);
+      }
+      prices[currency] = coin.usd;
+    }
+    return prices;
+  }
+}
+
+module.exports = CoinGeckoProvider;
\ No newline at end of file
@@ -0,0 +1,48 @@
+const axios = require('axios');
+const { getProviderId } = require('../../utils/currencies');
+
+/**
+ * Prices from the CoinMarketCap quotes API; needs COINMARKETCAP_API_KEY
+ */
+class CoinMarketCapProvider {
+  constructor(options = {}) {
+    this.name = 'coinmarketcap';
+    this.baseUrl = process.env.COINMARKETCAP_API_URL || 'https://pro-api.coinmarketcap.com/v1';
+    this.apiKey = process.env.COINMARKETCAP_API_KEY;
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Fetch USD prices
+   * @param {Array<string>} currencies - Currency symbols (btc, eth)
+   * @returns {Promise<Object>} - Price per currency
+   */
+  async fetchPrices(currencies) {
+    if (!this.apiKey) {
+      throw new Error('COINMARKETCAP_API_KEY is not set');
+    }
+
+    const response = await axios.get(`${this.baseUrl}/cryptocurrency/quotes/latest`, {
+      params: {
+        symbol: currencies.map(currency => getProviderId(currency, 'coinmarketcap')).join(','),
+        convert: 'USD'
+      },
+      headers: {
+        'X-CMC_PRO_API_KEY': this.apiKey
+      },
+      timeout: this.timeout
+    });
+
+    const prices = {};
+    for (const currency of currencies) {
+      const coin = response.data && response.data.data && response.data.data[getProviderId(currency, 'coinmarketcap')];
+      if (!coin || !coin.quote || !coin.quote.USD) {
+        throw new Error(`Invalid response format from CoinMarketCap API for ${currency}`);
+      }
+      prices[currency] = coin.quote.USD.price;
+    }
+    return prices;
+  }
+}
+
+module.exports = CoinMarketCapProvider;
\ No newline at end of file
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '../../fixtures/prices.json');
+
+/**
+ * Prices played back from a JSON price script, for test and demo environments
+ * without network access. The script is a list of steps, each holding a price
+ * per currency; a new step starts every `stepMs` from the first fetch, and the
+ * script either loops or stays on its last step:
+ *
+ *   { "stepMs": 10000, "loop": true, "steps": [{ "btc": 60000, "eth": 3000 }] }
+ */
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.file = process.env.PRICE_FIXTURE_FILE || DEFAULT_FIXTURE;
+    this.timeout = options.timeout || 1000;
+    this.script = null;
+    this.startedAt = null;
+  }
+
+  /**
+   * Read and check the price script
+   */
+  async loadScript() {
+    const script = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    if (!Array.isArray(script.steps) || script.steps.length === 0) {
+      throw new Error(`Price fixture ${this.file} has no steps`);
+    }
+    return {
+      stepMs: script.stepMs || 10000,
+      loop: script.loop !== false,
+      steps: script.steps
+    };
+  }
+
+  /**
+   * Get the prices of the current step
+   * @param {Array<string>} currencies - Currency symbols (btc, eth)
+   * @returns {Promise<Object>} - Price per currency
+   */
+  async fetchPrices(currencies) {
+    if (!this.script) {
+      this.script = await this.loadScript();
+      this.startedAt = Date.now();
+    }
+
+    const { stepMs, loop, steps } = this.script;
+    const elapsedSteps = Math.floor((Date.now() - this.startedAt) / stepMs);
+    const step = steps[loop ? elapsedSteps % steps.length : Math.min(elapsedSteps, steps.length - 1)];
+
+    const prices = {};
+    for (const currency of currencies) {
+      if (!(step[currency] > 0)) {
+        throw new Error(`Price fixture has no ${currency} price`);
+      }
+      prices[currency] = step[currency];
+    }
+    return prices;
+  }
+}
+
+module.exports = FixtureProvider;
\ No newline at end of file
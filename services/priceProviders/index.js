@@ -0,0 +1,38 @@
+const CoinGeckoProvider = require('./CoinGeckoProvider');
+const CoinMarketCapProvider = require('./CoinMarketCapProvider');
+const BinanceProvider = require('./BinanceProvider');
+const FixtureProvider = require('./FixtureProvider');
+
+// Available price providers by name
+const providers = {
+  coingecko: CoinGeckoProvider,
+  coinmarketcap: CoinMarketCapProvider,
+  binance: BinanceProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * Create the price providers listed in PRICE_PROVIDERS, in the order they are
+ * tried. Each provider's timeout comes from <NAME>_TIMEOUT_MS, falling back to
+ * PRICE_PROVIDER_TIMEOUT_MS.
+ * @param {string} names - Comma-separated provider names
+ * @returns {Array<Object>} - Providers with an async fetchPrices(currencies) method
+ */
+function createPriceProviders(names = process.env.PRICE_PROVIDERS || 'coingecko,coinmarketcap') {
+  return names.split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name)
+    .map(name => {
+      const Provider = providers[name];
+      if (!Provider) {
+        throw new Error(`Unknown price provider: ${name}`);
+      }
+      const timeout = parseInt(process.env[`${name.toUpperCase()}_TIMEOUT_MS`]) ||
+        parseInt(process.env.PRICE_PROVIDER_TIMEOUT_MS) || undefined;
+      return new Provider({ timeout: timeout });
+    });
+}
+
+module.exports = {
+  createPriceProviders
+};
\ No newline at end of file
@@ -31,7 +31,14 @@ async function testSetup() {
 
         // Test 4: Test wallet endpoints
         console.log('4. Testing wallet endpoints...');
-        const walletResponse = await axios.get(`${BASE_URL}/api/wallet/balance/player1`);
+        const loginResponse = await axios.post(`${BASE_URL}/api/auth/login`, {
+            playerId: 'player1',
+            password: 'password123'
+        });
+        const token = loginResponse.data.token;
+        const walletResponse = await axios.get(`${BASE_URL}/api/wallet/balance/player1`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
         console.log('✅ Wallet balance fetched for player1');
         console.log('');
 
@@ -72,7 +79,7 @@ async function testSetup() {
         console.log('');
         console.log('📋 Next steps:');
         console.log('1. Open http://localhost:3000 in your browser');
-        console.log('2. Enter a username and player ID to join the game');
+        console.log('2. Sign in as player1 with password123, or create an account');
         console.log('3. Start playing!');
         console.log('');
         console.log('📚 For API testing, import the Postman collection:');
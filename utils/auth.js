@@ -0,0 +1,66 @@
+const SessionService = require('../services/SessionService');
+const { GameError, toErrorResponse } = require('./errors');
+
+const sessions = new SessionService();
+
+/**
+ * Read the token from an `Authorization: Bearer <token>` header
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware requiring a valid, unrevoked session token. The session's
+ * player is set as `req.player`; a route with a `:playerId` parameter only
+ * serves that player.
+ */
+async function requireSession(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      throw new GameError('NOT_AUTHENTICATED', 'Sign in to use this endpoint');
+    }
+
+    req.player = await sessions.authenticate(token);
+
+    if (req.params.playerId !== undefined && req.params.playerId !== req.player.playerId) {
+      throw new GameError('FORBIDDEN', 'Players can only access their own account');
+    }
+  } catch (error) {
+    const { status, body } = toErrorResponse(error, 'Authentication failed');
+    return res.status(status).json(body);
+  }
+  next();
+}
+
+/**
+ * Socket.IO middleware checking the token sent in the handshake
+ * (`io({ auth: { token } })`). Sockets without a token may connect to watch
+ * but cannot play; an invalid or revoked token refuses the connection.
+ */
+async function authenticateSocket(socket, next) {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    socket.data.player = null;
+    return next();
+  }
+
+  try {
+    socket.data.player = await sessions.authenticate(token);
+  } catch (error) {
+    const refused = new Error(error.message);
+    refused.data = { code: error.code || 'NOT_AUTHENTICATED' };
+    return next(refused);
+  }
+  next();
+}
+
+module.exports = {
+  sessions,
+  getBearerToken,
+  requireSession,
+  authenticateSocket
+};
\ No newline at end of file
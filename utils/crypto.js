@@ -1,26 +1,45 @@
 const crypto = require('crypto');
+const { getCurrency, isCryptoCurrency } = require('./currencies');
 const logger = require('./logger');
 
+// Multiplier curves over elapsed seconds; `time` is the inverse of `multiplier`
+const MULTIPLIER_CURVES = {
+  exponential: {
+    defaultGrowthFactor: 0.06,
+    multiplier: (seconds, k) => Math.exp(k * seconds),
+    time: (multiplier, k) => Math.log(multiplier) / k
+  },
+  linear: {
+    defaultGrowthFactor: 0.01,
+    multiplier: (seconds, k) => 1 + seconds * k,
+    time: (multiplier, k) => (multiplier - 1) / k
+  }
+};
+
 class CryptoUtils {
   /**
    * Generate a provably fair crash point
-   * @param {string} seed - The seed for the round
-   * @param {string} roundId - The round ID
+   * @param {string} seed - The server seed for the round (revealed after the crash)
+   * @param {string} salt - Public salt mixed into the HMAC
+   * @param {string|null} clientSeed - Round-level client entropy, if any player supplied one
    * @returns {Object} - Contains crash point, seed, and hash
    */
-  static generateCrashPoint(seed, roundId) {
+  static generateCrashPoint(seed, salt = this.getDefaultSalt(), clientSeed = null) {
     try {
-      // Create a hash from seed + roundId
-      const hashInput = `${seed}-${roundId}`;
-      const hash = crypto.createHash('sha256').update(hashInput).digest('hex');
+      // HMAC the salt and client entropy with the server seed so the published
+      // commitment (sha256 of the seed) reveals nothing about the crash point
+      const message = clientSeed ? `${salt}:${clientSeed}` : salt;
+      const hash = crypto.createHmac('sha256', seed).update(message).digest('hex');
       
-      // Use the first 8 bytes of the hash to generate a number
-      const hashBytes = Buffer.from(hash.substring(0, 16), 'hex');
-      const randomValue = hashBytes.readUInt32BE(0) / Math.pow(2, 32);
+      // Use the first 4 bytes of the hash to generate a number
+      const hashBytes = Buffer.from(hash.substring(0, 8), 'hex');
+      const integer = hashBytes.readUInt32BE(0);
+      const randomValue = integer / Math.pow(2, 32);
       
       // Convert to crash point using house edge
       const houseEdge = 0.01; // 1% house edge
-      const crashPoint = Math.max(1, (1 / (1 - randomValue)) * (1 - houseEdge));
+      const rawCrashPoint = 1 / (1 - randomValue);
+      const crashPoint = Math.max(1, rawCrashPoint * (1 - houseEdge));
       
       // Cap the maximum crash point
       const maxCrash = parseFloat(process.env.MAX_CRASH_MULTIPLIER) || 100;
@@ -29,8 +48,23 @@ class CryptoUtils {
       return {
         crashPoint: finalCrashPoint,
         seed: seed,
+        salt: salt,
+        clientSeed: clientSeed,
         hash: hash,
-        randomValue: randomValue
+        randomValue: randomValue,
+        steps: {
+          message: message,
+          hash: hash,
+          hexPrefix: hash.substring(0, 8),
+          integer: integer,
+          randomValue: randomValue,
+          rawCrashPoint: rawCrashPoint,
+          houseEdge: houseEdge,
+          edgeAdjustedCrashPoint: crashPoint,
+          maxCrash: maxCrash,
+          capped: crashPoint > maxCrash,
+          crashPoint: finalCrashPoint
+        }
       };
     } catch (error) {
       logger.error('Error generating crash point:', error);
@@ -41,13 +75,14 @@ class CryptoUtils {
   /**
    * Verify a crash point
    * @param {number} crashPoint - The crash point to verify
-   * @param {string} seed - The seed used
-   * @param {string} roundId - The round ID
+   * @param {string} seed - The revealed server seed
+   * @param {string} salt - The salt used for the round
+   * @param {string|null} clientSeed - The round-level client seed
    * @returns {boolean} - True if the crash point is valid
    */
-  static verifyCrashPoint(crashPoint, seed, roundId) {
+  static verifyCrashPoint(crashPoint, seed, salt = this.getDefaultSalt(), clientSeed = null) {
     try {
-      const generated = this.generateCrashPoint(seed, roundId);
+      const generated = this.generateCrashPoint(seed, salt, clientSeed);
       return Math.abs(generated.crashPoint - crashPoint) < 0.001;
     } catch (error) {
       logger.error('Error verifying crash point:', error);
@@ -55,6 +90,112 @@ class CryptoUtils {
     }
   }
 
+  /**
+   * Verify a revealed round end to end: seed commitment, hash chain link and crash point
+   * @param {Object} round - Round data (seed, hash, previousHash, salt, clientSeed, crashPoint)
+   * @returns {Object} - Verification report with a step-by-step breakdown
+   */
+  static verifyRound(round) {
+    const salt = round.salt || this.getDefaultSalt();
+    const generated = this.generateCrashPoint(round.seed, salt, round.clientSeed || null);
+    const previousHash = round.previousHash || null;
+
+    const chain = {
+      hash: round.hash || null,
+      computedHash: this.hashSeed(round.seed),
+      hashValid: round.hash ? this.verifySeedChain(round.seed, round.hash) : null,
+      previousHash: previousHash,
+      previousHashValid: round.hash && previousHash
+        ? this.verifySeedChain(round.seed, round.hash, previousHash)
+        : null
+    };
+
+    const hasCrashPoint = round.crashPoint !== undefined && round.crashPoint !== null;
+    const crashPointValid = hasCrashPoint
+      ? this.verifyCrashPoint(round.crashPoint, round.seed, salt, round.clientSeed || null)
+      : null;
+
+    return {
+      valid: chain.hashValid !== false && chain.previousHashValid !== false && crashPointValid !== false,
+      crashPoint: generated.crashPoint,
+      expectedCrashPoint: hasCrashPoint ? round.crashPoint : null,
+      crashPointValid: crashPointValid,
+      chain: chain,
+      steps: generated.steps
+    };
+  }
+
+  /**
+   * Get the public salt mixed into every crash point
+   * @returns {string} - Salt
+   */
+  static getDefaultSalt() {
+    return process.env.CRASH_POINT_SALT || 'crypto-crash';
+  }
+
+  /**
+   * Generate a random client seed for players who have not chosen one
+   * @returns {string} - Client seed
+   */
+  static generateClientSeed() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Validate a player-supplied client seed
+   * @param {string} clientSeed - Client seed to validate
+   * @returns {boolean} - True if valid
+   */
+  static isValidClientSeed(clientSeed) {
+    return typeof clientSeed === 'string' && /^[\x21-\x7e]{1,64}$/.test(clientSeed);
+  }
+
+  /**
+   * Hash a server seed into its public commitment
+   * @param {string} seed - Server seed
+   * @returns {string} - SHA-256 hex digest
+   */
+  static hashSeed(seed) {
+    return crypto.createHash('sha256').update(seed).digest('hex');
+  }
+
+  /**
+   * Build a reverse hash chain of server seeds. The last element is the
+   * terminal seed and every earlier element is the SHA-256 of the next one,
+   * so seeds are consumed from index 0 upwards and each revealed seed hashes
+   * into the one revealed before it.
+   * @param {string} terminalSeed - Secret seed at the end of the chain
+   * @param {number} length - Number of seeds in the chain
+   * @returns {string[]} - Seeds in the order they are used
+   */
+  static generateHashChain(terminalSeed, length) {
+    if (!terminalSeed || !Number.isInteger(length) || length <= 0) {
+      throw new Error('Invalid hash chain parameters');
+    }
+
+    const chain = new Array(length);
+    chain[length - 1] = terminalSeed;
+    for (let i = length - 2; i >= 0; i--) {
+      chain[i] = this.hashSeed(chain[i + 1]);
+    }
+    return chain;
+  }
+
+  /**
+   * Verify a revealed seed against its commitment and the previous round's commitment
+   * @param {string} seed - The revealed server seed
+   * @param {string} hash - The commitment published before the round
+   * @param {string|null} previousHash - The commitment of the previous round in the chain
+   * @returns {boolean} - True if the seed belongs to the chain
+   */
+  static verifySeedChain(seed, hash, previousHash = null) {
+    if (!seed || this.hashSeed(seed) !== hash) {
+      return false;
+    }
+    // sha256(seed_i) === seed_{i-1}, so hashing the commitment again yields the previous commitment
+    return previousHash === null || this.hashSeed(hash) === previousHash;
+  }
+
   /**
    * Convert USD to cryptocurrency
    * @param {number} usdAmount - Amount in USD
@@ -87,18 +228,49 @@ class CryptoUtils {
     return parseFloat(usdAmount.toFixed(2)); // 2 decimal places for USD
   }
 
+  /**
+   * Get the configured multiplier curve (MULTIPLIER_CURVE, exponential by default)
+   * @param {string} name - Curve name, defaults to the configured one
+   * @returns {Object} - Curve with its name, default growth factor, multiplier and time functions
+   */
+  static getMultiplierCurve(name = process.env.MULTIPLIER_CURVE || 'exponential') {
+    const curve = MULTIPLIER_CURVES[name];
+    if (!curve) {
+      throw new Error(`Unknown multiplier curve: ${name}`);
+    }
+    return { name, ...curve };
+  }
+
   /**
    * Calculate multiplier at a given time
    * @param {number} elapsedTime - Time elapsed in milliseconds
-   * @param {number} growthFactor - Growth factor for the multiplier
+   * @param {number} growthFactor - Growth rate per second, defaults to the curve's
+   * @param {string} curveName - Multiplier curve, defaults to the configured one
    * @returns {number} - Current multiplier
    */
-  static calculateMultiplier(elapsedTime, growthFactor = 0.01) {
-    const timeInSeconds = elapsedTime / 1000;
-    const multiplier = 1 + (timeInSeconds * growthFactor);
+  static calculateMultiplier(elapsedTime, growthFactor = null, curveName = undefined) {
+    const curve = CryptoUtils.getMultiplierCurve(curveName);
+    const k = growthFactor || curve.defaultGrowthFactor;
+    const multiplier = curve.multiplier(Math.max(0, elapsedTime) / 1000, k);
     return parseFloat(multiplier.toFixed(4));
   }
 
+  /**
+   * Calculate how long the multiplier takes to reach a value (inverse of calculateMultiplier)
+   * @param {number} multiplier - Target multiplier, e.g. the crash point
+   * @param {number} growthFactor - Growth rate per second, defaults to the curve's
+   * @param {string} curveName - Multiplier curve, defaults to the configured one
+   * @returns {number} - Time in milliseconds
+   */
+  static calculateTimeToMultiplier(multiplier, growthFactor = null, curveName = undefined) {
+    const curve = CryptoUtils.getMultiplierCurve(curveName);
+    const k = growthFactor || curve.defaultGrowthFactor;
+    if (multiplier <= 1) {
+      return 0;
+    }
+    return Math.ceil(curve.time(multiplier, k) * 1000);
+  }
+
   /**
    * Generate a random seed
    * @returns {string} - Random seed
@@ -134,8 +306,7 @@ class CryptoUtils {
    * @returns {boolean} - True if valid
    */
   static isValidCurrency(currency) {
-    const validCurrencies = ['btc', 'eth'];
-    return validCurrencies.includes(currency.toLowerCase());
+    return isCryptoCurrency(currency);
   }
 
   /**
@@ -145,12 +316,8 @@ class CryptoUtils {
    * @returns {string} - Formatted amount
    */
   static formatCryptoAmount(amount, currency) {
-    if (currency === 'btc') {
-      return amount.toFixed(8);
-    } else if (currency === 'eth') {
-      return amount.toFixed(6);
-    }
-    return amount.toFixed(2);
+    const entry = getCurrency(currency);
+    return amount.toFixed(entry ? entry.decimals : 2);
   }
 
   /**
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY = path.join(__dirname, '../config/currencies.json');
+
+// The fiat wallet every player has next to the crypto wallets
+const USD = {
+  symbol: 'usd',
+  name: 'US Dollar',
+  decimals: 2
+};
+
+/**
+ * Load and check the registry of supported cryptocurrencies. It is read once
+ * at startup, because the model schemas are built from it.
+ */
+function loadRegistry(file = process.env.CURRENCIES_FILE || DEFAULT_REGISTRY) {
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Currency registry ${file} has no currencies`);
+  }
+
+  return entries.map(entry => {
+    const symbol = String(entry.symbol || '').toLowerCase();
+    if (!/^[a-z0-9]+$/.test(symbol) || symbol === USD.symbol) {
+      throw new Error(`Invalid currency symbol in ${file}: ${entry.symbol}`);
+    }
+    return {
+      symbol: symbol,
+      name: entry.name || symbol.toUpperCase(),
+      description: entry.description || '',
+      decimals: Number.isInteger(entry.decimals) ? entry.decimals : 8,
+      providerIds: entry.providerIds || {},
+      minBetUsd: entry.minBetUsd || 0,
+      maxBetUsd: entry.maxBetUsd || null
+    };
+  });
+}
+
+const CRYPTO_CURRENCIES = loadRegistry();
+const CRYPTO_SYMBOLS = CRYPTO_CURRENCIES.map(currency => currency.symbol);
+const WALLET_CURRENCIES = [USD.symbol, ...CRYPTO_SYMBOLS];
+
+/**
+ * Get a registry entry (including usd) by symbol
+ * @returns {Object|null} - The currency, or null if it is not supported
+ */
+function getCurrency(symbol) {
+  if (typeof symbol !== 'string') {
+    return null;
+  }
+  symbol = symbol.toLowerCase();
+  return symbol === USD.symbol ? USD : CRYPTO_CURRENCIES.find(currency => currency.symbol === symbol) || null;
+}
+
+function isCryptoCurrency(symbol) {
+  return typeof symbol === 'string' && CRYPTO_SYMBOLS.includes(symbol.toLowerCase());
+}
+
+function isWalletCurrency(symbol) {
+  return typeof symbol === 'string' && WALLET_CURRENCIES.includes(symbol.toLowerCase());
+}
+
+/**
+ * Identifier of a currency at a price provider, e.g. bitcoin at CoinGecko
+ */
+function getProviderId(symbol, provider) {
+  const currency = getCurrency(symbol);
+  return (currency && currency.providerIds && currency.providerIds[provider]) || symbol.toUpperCase();
+}
+
+/**
+ * Build an object with one key per wallet currency
+ * @param {Function} valueFor - Maps a symbol to its value
+ */
+function mapWalletCurrencies(valueFor) {
+  return Object.fromEntries(WALLET_CURRENCIES.map(symbol => [symbol, valueFor(symbol)]));
+}
+
+module.exports = {
+  USD,
+  CRYPTO_CURRENCIES,
+  CRYPTO_SYMBOLS,
+  WALLET_CURRENCIES,
+  getCurrency,
+  isCryptoCurrency,
+  isWalletCurrency,
+  getProviderId,
+  mapWalletCurrencies
+};
\ No newline at end of file
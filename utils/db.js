@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Set when MONGODB_ALLOW_STANDALONE=true and the server has no replica set
+let transactionsDisabled = false;
+
+/**
+ * Check that the connected server can run multi-document transactions (a
+ * replica set or a sharded cluster). A standalone server is refused unless
+ * MONGODB_ALLOW_STANDALONE=true, in which case wallet writes run without
+ * transactions from then on.
+ * @param {Object} connection - Open mongoose connection
+ * @returns {Promise<boolean>} - Whether transactions are used
+ */
+async function checkTransactionSupport(connection = mongoose.connection) {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  if (hello.setName || hello.msg === 'isdbgrid') {
+    transactionsDisabled = false;
+    return true;
+  }
+
+  if (process.env.MONGODB_ALLOW_STANDALONE !== 'true') {
+    throw new Error(
+      'MongoDB is a standalone server, but wallet writes need transactions. ' +
+      'Run a replica set (see README), or set MONGODB_ALLOW_STANDALONE=true to run without them.'
+    );
+  }
+
+  transactionsDisabled = true;
+  logger.warn('MONGODB_ALLOW_STANDALONE is set: wallet writes run WITHOUT transactions and are not all-or-nothing');
+  return false;
+}
+
+/**
+ * Run `work(session)` inside a MongoDB transaction so its writes commit or
+ * roll back together. Only when standalone mode was allowed by
+ * checkTransactionSupport does the work run without a session; conditional
+ * updates still keep balances safe but the writes are no longer all-or-nothing.
+ *
+ * The work is not retried, so it may safely touch in-memory state.
+ * @param {Function} work - Async function receiving the session (or null)
+ * @returns {Promise<*>} - Whatever the work returns
+ */
+async function withTransaction(work) {
+  if (transactionsDisabled) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    let result;
+    try {
+      result = await work(session);
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    }
+
+    await session.commitTransaction();
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  checkTransactionSupport,
+  withTransaction
+};
\ No newline at end of file
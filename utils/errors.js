@@ -0,0 +1,83 @@
+/**
+ * Error codes shared by the REST API and the WebSocket events, with the HTTP
+ * status each one maps to
+ */
+const ERROR_CODES = {
+  VALIDATION_ERROR: 400,
+  INVALID_AMOUNT: 400,
+  INVALID_CURRENCY: 400,
+  INVALID_FUNDING_SOURCE: 400,
+  INVALID_PRICE_QUOTE: 400,
+  PRICE_QUOTE_REQUIRED: 400,
+  INVALID_AUTO_CASHOUT: 400,
+  INVALID_FRACTION: 400,
+  INVALID_CLIENT_SEED: 400,
+  INSUFFICIENT_BALANCE: 400,
+  CASHOUT_TOO_SMALL: 400,
+  BET_ID_REQUIRED: 400,
+  WITHDRAWAL_LIMIT_EXCEEDED: 400,
+  NOT_AUTHENTICATED: 401,
+  INVALID_CREDENTIALS: 401,
+  FORBIDDEN: 403,
+  PLAYER_NOT_FOUND: 404,
+  BET_NOT_FOUND: 404,
+  QUEUED_BET_NOT_FOUND: 404,
+  WITHDRAWAL_NOT_FOUND: 404,
+  QUOTE_NOT_FOUND: 404,
+  ROUND_NOT_ACCEPTING_BETS: 409,
+  ROUND_NOT_ACTIVE: 409,
+  ROUND_CRASHED: 409,
+  BET_ALREADY_CASHED_OUT: 409,
+  REQUEST_IN_PROGRESS: 409,
+  WITHDRAWAL_NOT_PENDING: 409,
+  QUOTE_ALREADY_USED: 409,
+  PLAYER_EXISTS: 409,
+  PRICE_QUOTE_EXPIRED: 409,
+  PRICE_QUOTE_USED: 409,
+  QUOTE_EXPIRED: 410,
+  IDEMPOTENCY_KEY_REUSED: 422,
+  ACCOUNT_LOCKED: 423,
+  PAYOUT_FAILED: 502,
+  PRICE_UNAVAILABLE: 503,
+  BETTING_SUSPENDED: 503,
+  EXCHANGE_SUSPENDED: 503,
+  INTERNAL_ERROR: 500
+};
+
+/**
+ * Error raised for an expected, client-facing failure
+ */
+class GameError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'GameError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = ERROR_CODES[this.code];
+  }
+}
+
+/**
+ * Shape any error for a client; unexpected errors are not described
+ * @param {Error} error - Error thrown by a handler
+ * @param {string} fallbackMessage - Message used for unexpected errors
+ * @returns {Object} - HTTP status and `{ error, code }` body
+ */
+function toErrorResponse(error, fallbackMessage = 'Internal server error') {
+  if (error instanceof GameError) {
+    return {
+      status: error.status,
+      body: { error: error.message, code: error.code }
+    };
+  }
+
+  return {
+    status: 500,
+    body: { error: fallbackMessage, code: 'INTERNAL_ERROR' }
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  GameError,
+  toErrorResponse
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Secrets shorter than this are too easy to guess
+const MIN_SECRET_LENGTH = 32;
+
+// Example values shipped in env.example and docs
+const PLACEHOLDER_PATTERN = /^(your_[a-z_]*_here|change_?me|secret|password)$/i;
+
+/**
+ * Read a secret from the environment. A secret that is still an example
+ * value, or shorter than MIN_SECRET_LENGTH bytes, is refused: signing with a
+ * publicly known key is worse than not signing at all.
+ * @param {string} name - Environment variable name
+ * @returns {string|null} - The secret, or null when it is not set
+ */
+function readSecret(name) {
+  const value = process.env[name];
+  if (!value) {
+    return null;
+  }
+
+  if (PLACEHOLDER_PATTERN.test(value)) {
+    throw new Error(`${name} is still set to an example value; set a real secret or leave it empty`);
+  }
+  if (Buffer.byteLength(value) < MIN_SECRET_LENGTH) {
+    throw new Error(`${name} must be at least ${MIN_SECRET_LENGTH} bytes long`);
+  }
+  return value;
+}
+
+/**
+ * Compare a supplied value with a secret in constant time
+ */
+function matchesSecret(value, secret) {
+  const digest = input => crypto.createHash('sha256').update(String(input)).digest();
+  return crypto.timingSafeEqual(digest(value), digest(secret));
+}
+
+module.exports = {
+  MIN_SECRET_LENGTH,
+  readSecret,
+  matchesSecret
+};
\ No newline at end of file